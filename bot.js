@@ -3,12 +3,24 @@ const { Telegraf, session, MemorySessionStore } = require('telegraf');
 const { pipeline } = require('@xenova/transformers');
 const axios = require('axios');
 const { PdfReader } = require("pdfreader");
+const path = require('path');
+const { startTransport } = require('./transport');
+const { resolveProviders, createLLMClient } = require('./llm');
+const { createTTS } = require('./tts');
+const { EXPORT_FORMATS } = require('./transcripts');
+const { EXTRACTORS, resolveDocumentType } = require('./extractors');
+const { createOCR } = require('./ocr');
+const { IMPORT_LIMITS, KNOWLEDGE_EXPORT_FORMATS, resolveImportFormat, parseKnowledgeFile } = require('./kbfiles');
+const { describeChange } = require('./revisions');
+const { normalizeTags, takeTrailingHashtags, takeHashtags, tagFields, formatTags, sameTags, parseTagSuggestion } = require('./tags');
 
 // ==================== CRASH PREVENTION SETTINGS ====================
 const SAFETY_CONFIG = {
   MAX_REQUEST_TIME: 25000,
   MAX_MEMORY_MB: 400,
   REQUEST_QUEUE_SIZE: 5,
+  // Updates waiting or running in the per-chat queues, across all chats
+  MAX_QUEUED_UPDATES: parseInt(process.env.MAX_QUEUED_UPDATES, 10) || 100,
   MAX_FILE_SIZE_MB: 10,
   HEALTH_CHECK_INTERVAL: 30000,
 };
@@ -16,22 +28,33 @@ const SAFETY_CONFIG = {
 let activeRequests = 0;
 let isShuttingDown = false;
 const requestQueue = [];
+let transport = null;
+let memoryMonitor = null;
+let sessionCleanup = null;
+
+// ==================== STORAGE SETUP ====================
+const { createStorage, createSessionStore } = require('./storage');
+
+const STORAGE_CONFIG = {
+  backend: process.env.STORAGE_BACKEND || 'supabase',
+  supabaseUrl: process.env.EXPO_PUBLIC_SUPABASE_URL,
+  supabaseKey: process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY,
+  localPath: process.env.LOCAL_STORAGE_PATH || path.join(__dirname, 'data', 'storage.json')
+};
 
-// ==================== SUPABASE SETUP ====================
-let supabase = null;
+let storage = null;
 try {
-  const { createClient } = require('@supabase/supabase-js');
-  if (process.env.EXPO_PUBLIC_SUPABASE_URL && process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY) {
-    supabase = createClient(process.env.EXPO_PUBLIC_SUPABASE_URL, process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY);
-    console.log('Supabase client initialized');
+  storage = createStorage(STORAGE_CONFIG);
+  if (storage) {
+    console.log(`Storage backend initialized: ${storage.name}`);
   } else {
     console.log('Supabase env vars not set — knowledge base disabled');
   }
 } catch (e) {
-  console.warn('Could not initialize Supabase client:', e?.message || e);
+  console.warn('Could not initialize storage backend:', e?.message || e);
 }
 
-let supabaseAvailable = !!supabase;
+let storageAvailable = !!storage;
 
 // ==================== ENHANCED MATCHING FUNCTIONS ====================
 
@@ -64,103 +87,298 @@ const QUESTION_PATTERNS = [
   { regex: /^(how to|how do i|steps to|guide to)/i, type: 'howto' },
 ];
 
-const findInSupabase = async (query) => {
-  if (!supabaseAvailable) return null;
+// ==================== SEMANTIC SEARCH ====================
+
+// A number from the environment, where 0 is a valid setting
+const readNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+const EMBEDDING_CONFIG = {
+  enabled: process.env.EMBEDDINGS_ENABLED !== 'false',
+  model: process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2',
+  similarityThreshold: readNumber(process.env.EMBEDDING_SIMILARITY_THRESHOLD, 0.55),
+  // Embedded entries compared per query; the rest are left out with a warning
+  maxCandidates: readNumber(process.env.EMBEDDING_MAX_CANDIDATES, 500),
+  backfillBatchSize: 25,
+  backfillOnStart: process.env.EMBEDDING_BACKFILL_ON_START === 'true'
+};
+
+let embedder = null;
+let isEmbedderLoading = false;
+const embedderLoadQueue = [];
+
+const loadEmbedder = async () => {
+  if (embedder) return embedder;
+  
+  if (isEmbedderLoading) {
+    return new Promise((resolve, reject) => {
+      embedderLoadQueue.push({ resolve, reject });
+    });
+  }
+  
+  isEmbedderLoading = true;
+  console.log(`Loading embedding model ${EMBEDDING_CONFIG.model}...`);
+  
+  try {
+    embedder = await pipeline('feature-extraction', EMBEDDING_CONFIG.model, {
+      quantized: true
+    });
+    
+    console.log('Embedding model ready');
+    
+    while (embedderLoadQueue.length > 0) {
+      embedderLoadQueue.shift().resolve(embedder);
+    }
+    
+    return embedder;
+  } catch (err) {
+    console.error('Failed to load embedding model:', err.message || err);
+    
+    while (embedderLoadQueue.length > 0) {
+      embedderLoadQueue.shift().reject(err);
+    }
+    throw err;
+  } finally {
+    isEmbedderLoading = false;
+  }
+};
+
+const embedText = async (text) => {
+  if (!EMBEDDING_CONFIG.enabled) {
+    throw new Error('Embeddings are disabled');
+  }
+  
+  const model = await loadEmbedder();
+  const output = await model(text.trim().substring(0, 2000), { pooling: 'mean', normalize: true });
+  return Array.from(output.data);
+};
+
+const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+  
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+const embedKnowledgeEntry = async (question, answer) => {
+  const questionEmbedding = await embedText(question);
+  const answerEmbedding = answer ? await embedText(answer) : null;
+  
+  return {
+    question_embedding: questionEmbedding,
+    answer_embedding: answerEmbedding
+  };
+};
+
+// Throws when the embedding model is unavailable, or no entry has been
+// embedded yet (before /reindex on an existing knowledge base), so callers
+// can fall back
+const findSemanticMatch = async (query, { tags = [] } = {}) => {
+  const queryEmbedding = await embedText(query);
+  
+  const data = await storage.listKnowledge({
+    limit: EMBEDDING_CONFIG.maxCandidates + 1,
+    withEmbeddings: true,
+    tags
+  });
+  
+  if (data.length === 0) {
+    throw new Error('No knowledge entries have embeddings yet, run /reindex');
+  }
+  
+  if (data.length > EMBEDDING_CONFIG.maxCandidates) {
+    console.warn(`Semantic search compared only the first ${EMBEDDING_CONFIG.maxCandidates} embedded entries; raise EMBEDDING_MAX_CANDIDATES to include the rest`);
+    data.length = EMBEDDING_CONFIG.maxCandidates;
+  }
+  
+  let best = null;
+  
+  for (const item of data) {
+    const similarity = Math.max(
+      cosineSimilarity(queryEmbedding, item.question_embedding),
+      cosineSimilarity(queryEmbedding, item.answer_embedding)
+    );
+    
+    if (!best || similarity > best.similarity) {
+      best = { ...item, similarity };
+    }
+  }
+  
+  if (!best || best.similarity < EMBEDDING_CONFIG.similarityThreshold) {
+    if (best) {
+      console.log(`Closest semantic match "${best.question}" below threshold (${best.similarity.toFixed(2)})`);
+    }
+    return null;
+  }
+  
+  return best;
+};
+
+const backfillEmbeddings = async () => {
+  if (!storageAvailable) return { updated: 0, failed: 0 };
+  
+  let updated = 0;
+  let failed = 0;
+  let lastId = 0;
+  
+  while (true) {
+    const data = await storage.listUnembedded({
+      afterId: lastId,
+      limit: EMBEDDING_CONFIG.backfillBatchSize
+    });
+    
+    if (data.length === 0) break;
+    
+    for (const row of data) {
+      lastId = row.id;
+      
+      try {
+        const embeddings = await embedKnowledgeEntry(row.question, row.answer || row.content);
+        await storage.updateKnowledge(row.id, embeddings);
+        updated++;
+      } catch (err) {
+        console.error(`Failed to embed knowledge entry ${row.id}:`, err.message || err);
+        failed++;
+      }
+    }
+  }
+  
+  console.log(`Embedding backfill complete: ${updated} updated, ${failed} failed`);
+  return { updated, failed };
+};
+
+// An entry as { id, question, answer }, whichever column holds its answer
+const plainEntry = (entry) => ({ id: entry.id, question: entry.question, answer: entry.answer || entry.content || '' });
+
+// tags limits the search to entries that have all of them
+const findInKnowledgeBase = async (query, { tags = [] } = {}) => {
+  if (!storageAvailable) return null;
   
   try {
     const q = query.trim().toLowerCase();
     const originalQ = query.trim();
+    const tagged = (entry) => tags.every(tag => (entry.tags || []).includes(tag));
     
-    console.log(`Searching for: "${q}"`);
-    
-    let { data, error } = await supabase
-      .from('knowledge_base')
-      .select('question, answer, content, created_at')
-      .ilike('question', q)
-      .limit(1);
+    console.log(`Searching for: "${q}"${tags.length > 0 ? ` in ${formatTags(tags)}` : ''}`);
     
-    if (error) throw error;
-    if (data && data.length > 0) {
-      console.log(`Exact match found: "${data[0].question}"`);
-      return data[0].answer || data[0].content;
+    const exactMatch = await storage.findByQuestion(q);
+    if (exactMatch && tagged(exactMatch)) {
+      console.log(`Exact match found: "${exactMatch.question}"`);
+      return plainEntry(exactMatch);
     }
     
     for (const [mainQuestion, synonyms] of Object.entries(SYNONYM_MAP)) {
       if (synonyms.includes(q) || q.includes(mainQuestion)) {
-        const { data: synData } = await supabase
-          .from('knowledge_base')
-          .select('question, answer')
-          .ilike('question', `%${mainQuestion}%`)
-          .limit(1);
+        const synonymMatch = await storage.findByQuestionContaining(mainQuestion);
         
-        if (synData && synData.length > 0) {
-          console.log(`Synonym match: "${q}" → "${synData[0].question}"`);
-          return synData[0].answer;
+        if (synonymMatch && tagged(synonymMatch)) {
+          console.log(`Synonym match: "${q}" → "${synonymMatch.question}"`);
+          return plainEntry(synonymMatch);
         }
       }
     }
     
-    const { data: allQuestions } = await supabase
-      .from('knowledge_base')
-      .select('question, answer, content')
-      .not('question', 'is', null)
-      .limit(100);
+    let semanticMatch = null;
+    let semanticSearched = false;
+    try {
+      semanticMatch = await findSemanticMatch(originalQ, { tags });
+      semanticSearched = true;
+    } catch (semanticErr) {
+      console.error('Semantic search unavailable, using heuristic scoring:', semanticErr.message);
+    }
     
-    if (allQuestions && allQuestions.length > 0) {
-      const scoredQuestions = allQuestions.map(item => {
-        const question = item.question.toLowerCase();
-        const answer = item.answer || item.content || '';
-        
-        const scores = {
-          exactContains: question.includes(q) || q.includes(question) ? 1 : 0,
-          wordOverlap: calculateWordOverlap(q, question),
-          startsWith: q.startsWith(question.split(' ')[0]) ? 0.8 : 0,
-          endsWith: q.endsWith(question.split(' ').pop()) ? 0.6 : 0,
-          lengthSimilarity: 1 - Math.abs(question.length - q.length) / Math.max(question.length, q.length),
-          answerContains: answer.toLowerCase().includes(q) ? 0.5 : 0,
-        };
-        
-        const totalScore = 
-          scores.exactContains * 3 +
-          scores.wordOverlap * 2 +
-          scores.startsWith * 1.5 +
-          scores.endsWith * 1 +
-          scores.lengthSimilarity * 0.5 +
-          scores.answerContains * 0.3;
-        
-        return { ...item, score: totalScore };
-      });
+    if (semanticSearched) {
+      // Entries still waiting for the backfill have no embedding, so they are
+      // scored heuristically and compete with the semantic match
+      const unembedded = await storage.listUnembedded({ limit: EMBEDDING_CONFIG.maxCandidates });
+      const pendingMatch = rankHeuristically(q, unembedded.filter(tagged))[0];
       
-      const sortedQuestions = scoredQuestions
-        .filter(item => item.score > 0.3)
-        .sort((a, b) => b.score - a.score);
+      if (pendingMatch && (!semanticMatch || pendingMatch.score / HEURISTIC_MAX_SCORE > semanticMatch.similarity)) {
+        console.log(`Heuristic match among unembedded entries: "${pendingMatch.question}" (score: ${pendingMatch.score.toFixed(2)})`);
+        return plainEntry(pendingMatch);
+      }
       
-      if (sortedQuestions.length > 0) {
-        console.log(`Best match: "${sortedQuestions[0].question}" (score: ${sortedQuestions[0].score.toFixed(2)})`);
-        return sortedQuestions[0].answer || sortedQuestions[0].content;
+      if (semanticMatch) {
+        console.log(`Semantic match: "${semanticMatch.question}" (similarity: ${semanticMatch.similarity.toFixed(2)})`);
+        return plainEntry(semanticMatch);
+      }
+    } else {
+      // Heuristic scoring of every entry is only a fallback for when the embedding model cannot run
+      const heuristicMatch = await findHeuristicMatch(q, { tags });
+      if (heuristicMatch) {
+        return plainEntry(heuristicMatch);
       }
     }
     
-    const { data: contentMatches } = await supabase
-      .from('knowledge_base')
-      .select('answer, content')
-      .or(`answer.ilike.%${q}%,content.ilike.%${q}%`)
-      .order('created_at', { ascending: false })
-      .limit(1);
+    const contentMatch = await storage.findByAnswerContaining(q);
     
-    if (contentMatches && contentMatches.length > 0) {
+    if (contentMatch && tagged(contentMatch)) {
       console.log(`Content match found`);
-      return contentMatches[0].answer || contentMatches[0].content;
+      return plainEntry(contentMatch);
     }
     
     console.log(`No match found for: "${q}"`);
     return null;
   } catch (err) {
-    console.error('Supabase lookup error:', err.message || err);
+    console.error('Knowledge base lookup error:', err.message || err);
     return null;
   }
 };
 
+// The best possible heuristic score, so it can be weighed against a cosine similarity
+const HEURISTIC_MAX_SCORE = 3 + 2 + 1.5 + 1 + 0.5 + 0.3;
+
+// Entries that score above the cut-off, best first
+const rankHeuristically = (q, entries) => {
+  const scoredQuestions = entries.map(item => {
+    const question = item.question.toLowerCase();
+    const answer = item.answer || item.content || '';
+    
+    const scores = {
+      exactContains: question.includes(q) || q.includes(question) ? 1 : 0,
+      wordOverlap: calculateWordOverlap(q, question),
+      startsWith: q.startsWith(question.split(' ')[0]) ? 0.8 : 0,
+      endsWith: q.endsWith(question.split(' ').pop()) ? 0.6 : 0,
+      lengthSimilarity: 1 - Math.abs(question.length - q.length) / Math.max(question.length, q.length),
+      answerContains: answer.toLowerCase().includes(q) ? 0.5 : 0,
+    };
+    
+    const totalScore = 
+      scores.exactContains * 3 +
+      scores.wordOverlap * 2 +
+      scores.startsWith * 1.5 +
+      scores.endsWith * 1 +
+      scores.lengthSimilarity * 0.5 +
+      scores.answerContains * 0.3;
+    
+    return { ...item, score: totalScore };
+  });
+  
+  return scoredQuestions
+    .filter(item => item.score > 0.3)
+    .sort((a, b) => b.score - a.score);
+};
+
+const findHeuristicMatch = async (q, { tags = [] } = {}) => {
+  const [best] = rankHeuristically(q, await storage.listKnowledge({ limit: 100, tags }));
+  if (!best) return null;
+  
+  console.log(`Best heuristic match: "${best.question}" (score: ${best.score.toFixed(2)})`);
+  return best;
+};
+
 const calculateWordOverlap = (str1, str2) => {
   const words1 = str1.toLowerCase().split(/\s+/).filter(w => w.length > 2);
   const words2 = str2.toLowerCase().split(/\s+/).filter(w => w.length > 2);
@@ -206,19 +424,15 @@ const getDefaultResponse = (query) => {
 };
 
 const getRelatedSuggestions = async (query) => {
-  if (!supabaseAvailable) return null;
+  if (!storageAvailable) return null;
   
   try {
     const words = query.split(/\s+/).filter(w => w.length > 3);
     if (words.length === 0) return null;
     
-    const { data } = await supabase
-      .from('knowledge_base')
-      .select('question')
-      .or(words.map(w => `question.ilike.%${w}%`).join(','))
-      .limit(3);
+    const data = await storage.searchQuestions(words, 3);
     
-    if (data && data.length > 0) {
+    if (data.length > 0) {
       return data.map(item => `"${item.question}"`).join(', ');
     }
   } catch (err) {
@@ -229,23 +443,25 @@ const getRelatedSuggestions = async (query) => {
 
 // ==================== ENHANCED KNOWLEDGE MANAGEMENT ====================
 
-const saveTranscript = async (userId, text, source = 'voice') => {
-  if (!supabaseAvailable) return;
+const saveTranscript = async (userId, text, source = 'voice', language = null) => {
+  if (!storageAvailable) return;
   try {
-    await supabase.from('messages').insert([{ 
+    await storage.saveMessage({ 
       user_id: userId?.toString?.() || null, 
       text, 
-      source 
-    }]);
+      source,
+      language
+    });
   } catch (err) {
     console.error('Failed to save transcript:', err.message || err);
   }
 };
 
-const addKnowledge = async (input) => {
-  if (!supabaseAvailable) throw new Error('Supabase not available');
-  
+// Hashtags at the end of input become the entry's tags (the first is its category)
+const addKnowledge = async (input, userId = null) => {
   let question, answer;
+  const { text, tags } = takeTrailingHashtags(input);
+  input = text;
   
   if (input.includes('||')) {
     const parts = input.split('||').map(part => part.trim());
@@ -260,6 +476,17 @@ const addKnowledge = async (input) => {
     question = generateQuestionFromAnswer(answer);
   }
   
+  return saveKnowledge(question, answer, userId, { tags });
+};
+
+// Adds an entry, or replaces the answer when the question already exists
+// (case-insensitive). action is 'insert' or 'update'; entry and previous are
+// the entry after and before the change, for /undo. An existing entry keeps
+// its tags unless new ones are given. id re-inserts a deleted entry under its
+// old ID, and revisionAction names the revision of such an insert.
+const saveKnowledge = async (question, answer, userId = null, { tags = [], id = null, revisionAction = null } = {}) => {
+  if (!storageAvailable) throw new Error('Knowledge base not available');
+  
   if (!question || question.length < 2) {
     throw new Error('Question is too short or invalid');
   }
@@ -268,41 +495,61 @@ const addKnowledge = async (input) => {
     throw new Error('Answer is too short or invalid');
   }
   
-  const { data: existing } = await supabase
-    .from('knowledge_base')
-    .select('id, question')
-    .ilike('question', question)
-    .limit(1);
-  
-  let result;
-  if (existing && existing.length > 0) {
-    const { error } = await supabase
-      .from('knowledge_base')
-      .update({ 
-        answer,
-        content: answer,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', existing[0].id);
-    
-    if (error) throw error;
-    result = `Updated: "${existing[0].question}"`;
+  const existing = await storage.findByQuestion(question);
+  const labels = tagFields(tags);
+  
+  let embeddings = {};
+  try {
+    embeddings = await embedKnowledgeEntry(
+      existing ? existing.question : question,
+      answer
+    );
+  } catch (err) {
+    console.error('Could not embed knowledge entry, it will be picked up by the backfill:', err.message || err);
+    embeddings = { question_embedding: null, answer_embedding: null };
+  }
+  
+  let result, action, entry, savedTags;
+  if (existing) {
+    const retag = labels.tags.length > 0 && !sameTags(existing.tags, labels.tags);
+    savedTags = retag ? labels.tags : existing.tags || [];
+    await storage.updateKnowledge(existing.id, { 
+      answer,
+      content: answer,
+      ...(retag ? labels : {}),
+      ...embeddings,
+      updated_at: new Date().toISOString()
+    });
+    
+    await recordAudit(userId, 'update', existing, existing.answer || existing.content, answer);
+    if (retag) {
+      await recordAudit(userId, 'tag', existing, formatTags(existing.tags), formatTags(labels.tags));
+    }
+    result = `Updated: "${existing.question}"`;
+    action = 'update';
+    entry = { ...plainEntry(existing), answer };
+    await recordRevision(userId, action, entry, plainEntry(existing));
   } else {
-    const { error } = await supabase
-      .from('knowledge_base')
-      .insert([{ 
-        question,
-        answer,
-        content: answer,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      }]);
-    
-    if (error) throw error;
+    const inserted = await storage.insertKnowledge({ 
+      ...(id != null ? { id } : {}),
+      question,
+      answer,
+      content: answer,
+      ...labels,
+      ...embeddings,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    
+    await recordAudit(userId, 'insert', inserted, null, answer);
     result = `Added: "${question}"`;
+    action = 'insert';
+    savedTags = labels.tags;
+    entry = plainEntry(inserted);
+    await recordRevision(userId, revisionAction || action, entry);
   }
   
-  return { question, answer, result };
+  return { question, answer, result, action, entry, tags: savedTags, previous: existing ? plainEntry(existing) : null };
 };
 
 const generateQuestionFromAnswer = (answer) => {
@@ -315,29 +562,66 @@ const generateQuestionFromAnswer = (answer) => {
   return answer.split(/[.!?]/)[0].substring(0, 50).trim() || 'General information';
 };
 
-// ==================== GROQ CONFIGURATION ====================
-const GROQ_CONFIG = {
-  enabled: !!process.env.GROQ_API_KEY,
-  apiKey: process.env.GROQ_API_KEY,
-  endpoint: 'https://api.groq.com/openai/v1/chat/completions',
-  timeout: 15000,
+// ==================== LLM CONFIGURATION ====================
+// Groq and/or any OpenAI-compatible server (llama.cpp, Ollama, vLLM...), see llm.js
+const llm = createLLMClient(resolveProviders());
+
+// ==================== OCR ====================
+// Scanned PDFs and photos are read locally with tesseract.js, see ocr.js
+const ocr = createOCR();
+
+// ==================== PDF PROCESSING ====================
+// pdfreader reports each text run with its page, position and font size.
+// Runs are grouped into lines, and short lines set noticeably larger than the
+// body text (or entirely bold in a non-bold document) are treated as headings.
+const HEADING_CONFIG = {
+  minSizeRatio: 1.15,
+  maxLength: 120
+};
+
+const detectPdfSegments = (lines) => {
+  const charsBySize = {};
+  let boldChars = 0;
+  let totalChars = 0;
+  
+  lines.forEach(line => {
+    charsBySize[line.size] = (charsBySize[line.size] || 0) + line.text.length;
+    if (line.bold) boldChars += line.text.length;
+    totalChars += line.text.length;
+  });
+  
+  const bodySize = Number(Object.keys(charsBySize).sort((a, b) => charsBySize[b] - charsBySize[a])[0]) || 0;
+  const bodyIsBold = boldChars > totalChars / 2;
   
-  availableModels: [
-    'llama-3.1-8b-instant',
-    'llama-3.2-3b-preview',
-    'llama-3.2-1b-preview',
-    'gemma2-9b-it'
-  ],
+  const isHeading = (line) => line.text.length <= HEADING_CONFIG.maxLength &&
+    /\p{L}/u.test(line.text) &&
+    (line.size >= bodySize * HEADING_CONFIG.minSizeRatio || (line.bold && !bodyIsBold));
+  
+  const segments = [];
+  let heading = null;
+  let current = null;
+  
+  lines.forEach(line => {
+    if (isHeading(line)) {
+      heading = line.text;
+    }
+    
+    if (!current || current.page !== line.page || current.heading !== heading) {
+      current = { page: line.page, heading, text: '' };
+      segments.push(current);
+    }
+    
+    current.text += (current.text ? '\n' : '') + line.text;
+  });
   
-  defaultModel: 'llama-3.1-8b-instant'
+  return segments;
 };
 
-// ==================== PDF PROCESSING ====================
 const extractTextFromPDF = async (buffer) => {
   return new Promise((resolve, reject) => {
-    const textByPage = {};
+    const lines = [];
     let pageCount = 0;
-    let fullText = '';
+    let currentLine = null;
     
     const reader = new PdfReader();
     
@@ -345,34 +629,61 @@ const extractTextFromPDF = async (buffer) => {
       if (err) {
         reject(new Error(`PDF parsing error: ${err.message}`));
       } else if (!item) {
-        const pages = Object.keys(textByPage).sort((a, b) => parseInt(a) - parseInt(b));
-        pages.forEach(pageNum => {
-          fullText += `Page ${pageNum}:\n${textByPage[pageNum]}\n\n`;
-        });
+        const segments = detectPdfSegments(lines);
         
         resolve({
-          text: fullText.trim(),
+          text: segments.map(segment => segment.text).join('\n\n').trim(),
+          segments,
           numPages: pageCount,
           info: {}
         });
       } else if (item.page) {
         pageCount = Math.max(pageCount, item.page);
+        currentLine = null;
+      } else if (item.text) {
+        const [, size = 0, bold = 0] = item.R?.[0]?.TS || [];
         
-        if (!textByPage[item.page]) {
-          textByPage[item.page] = '';
-        }
-        
-        if (item.text) {
-          textByPage[item.page] += item.text + ' ';
+        if (currentLine && Math.abs(currentLine.y - item.y) < 0.3) {
+          currentLine.text += ' ' + item.text;
+          currentLine.size = Math.max(currentLine.size, size);
+          currentLine.bold = currentLine.bold && !!bold;
+        } else {
+          currentLine = { page: pageCount, y: item.y, text: item.text, size, bold: !!bold };
+          lines.push(currentLine);
         }
       }
     });
   });
 };
 
-const processDocument = async (fileBuffer, fileType, fileName = 'document') => {
+// Joins segments ([{ page, heading, text }]) into one whitespace-collapsed text and
+// records where each one starts, so chunks can later be traced back to pages
+const buildSections = (segments) => {
+  let text = '';
+  const sections = [];
+  
+  segments.forEach(segment => {
+    const cleaned = segment.text.replace(/\s+/g, ' ').trim();
+    if (!cleaned) return;
+    
+    if (text) text += ' ';
+    sections.push({ start: text.length, page: segment.page || null, heading: segment.heading || null });
+    text += cleaned;
+  });
+  
+  // Plain text has nothing to cite, so don't carry empty sections around
+  const citable = sections.some(section => section.page || section.heading);
+  return { text, sections: citable ? sections : [] };
+};
+
+const SUPPORTED_DOCUMENTS_TEXT = 'I support PDF, TXT, DOCX, Markdown, HTML, CSV and EPUB files, and JPEG, PNG or WebP images.';
+
+// onProgress(done, total) reports OCR progress for scanned PDFs, page by page
+const processDocument = async (fileBuffer, fileType, fileName = 'document', { onProgress } = {}) => {
   let extractedText = '';
   let documentInfo = {};
+  // [{ page, heading, text }] when the format tells where each part of the text came from
+  let segments = null;
   
   if (fileType === 'pdf') {
     try {
@@ -387,6 +698,7 @@ const processDocument = async (fileBuffer, fileType, fileName = 'document') => {
       
       const pdfData = await extractTextFromPDF(fileBuffer);
       extractedText = pdfData.text;
+      segments = pdfData.segments;
       documentInfo = {
         numPages: pdfData.numPages,
         info: pdfData.info
@@ -395,7 +707,24 @@ const processDocument = async (fileBuffer, fileType, fileName = 'document') => {
       console.log(`PDF processed successfully: ${fileName}, Pages: ${pdfData.numPages}, Text length: ${extractedText.length}`);
       
       if (!extractedText || extractedText.trim().length === 0) {
-        throw new Error('PDF appears to be scanned or image-based (no extractable text)');
+        if (!ocr.enabled) {
+          throw new Error('PDF appears to be scanned or image-based (no extractable text)');
+        }
+        
+        console.log(`No text layer in ${fileName}, running OCR`);
+        const recognized = await ocr.recognizePdf(fileBuffer, { onProgress });
+        extractedText = recognized.text;
+        segments = recognized.pages
+          .filter(page => page.text)
+          .map(page => ({ page: page.page, text: page.text }));
+        documentInfo = {
+          numPages: recognized.totalPages,
+          ocr: { confidence: recognized.confidence, pagesRead: recognized.pages.length }
+        };
+        
+        if (!extractedText) {
+          throw new Error('No readable text found with OCR');
+        }
       }
       
     } catch (error) {
@@ -412,21 +741,279 @@ const processDocument = async (fileBuffer, fileType, fileName = 'document') => {
   } else if (fileType === 'txt') {
     extractedText = fileBuffer.toString('utf-8');
     console.log(`TXT processed: ${fileName}, Text length: ${extractedText.length}`);
+    
+    // Form feeds mark page breaks in text printed or exported from PDFs
+    if (extractedText.includes('\f')) {
+      segments = extractedText.split('\f').map((pageText, index) => ({ page: index + 1, text: pageText }));
+    }
+  } else if (fileType === 'image') {
+    const recognized = await ocr.recognize(fileBuffer);
+    extractedText = recognized.text;
+    documentInfo = { ocr: { confidence: recognized.confidence } };
+    console.log(`Image OCR: ${fileName}, Confidence: ${recognized.confidence}%, Text length: ${extractedText.length}`);
+    
+    if (!extractedText) {
+      throw new Error('No readable text found with OCR');
+    }
+  } else if (EXTRACTORS[fileType]) {
+    try {
+      const extracted = await EXTRACTORS[fileType](fileBuffer);
+      extractedText = extracted.text;
+      segments = extracted.segments || null;
+      documentInfo = extracted.info;
+    } catch (error) {
+      console.error(`${fileType.toUpperCase()} processing error for ${fileName}:`, error.message);
+      throw new Error(`Failed to extract text from ${fileType.toUpperCase()}: ${error.message}`);
+    }
+
+    console.log(`${fileType.toUpperCase()} processed: ${fileName}, Text length: ${extractedText.length}`);
+
+    if (!extractedText.trim()) {
+      throw new Error(`No text found in ${fileName}.`);
+    }
   } else {
-    throw new Error(`Unsupported file type: ${fileType}. I support PDF and TXT files.`);
+    throw new Error(`Unsupported file type: ${fileType}. ${SUPPORTED_DOCUMENTS_TEXT}`);
   }
   
-  const cleanedText = extractedText
-    .replace(/\s+/g, ' ')
-    .trim()
-    .substring(0, 10000);
+  const { text: cleanedText, sections } = buildSections(segments || [{ text: extractedText }]);
   
   return {
     text: cleanedText,
+    sections,
     originalLength: extractedText.length,
-    info: documentInfo,
-    wasTruncated: cleanedText.length < extractedText.length
+    info: documentInfo
+  };
+};
+
+// ==================== DOCUMENT RETRIEVAL ====================
+const DOCUMENT_CONFIG = {
+  chunkSize: 1200,
+  chunkOverlap: 200,
+  topK: 4,
+  summaryChunks: 6,
+  maxChunks: 2000,
+  maxIndexedDocuments: 20,
+  // Characters of the document kept in the session, to rebuild the index after a restart
+  maxSessionChars: 100000
+};
+
+// documentId -> { name, text, sections, chunks: [{ index, text, pages, heading, embedding }], wasTruncated, createdAt }
+const documentIndex = new Map();
+
+const splitIntoChunks = (text, chunkSize = DOCUMENT_CONFIG.chunkSize, overlap = DOCUMENT_CONFIG.chunkOverlap) => {
+  const chunks = [];
+  let start = 0;
+  
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+    
+    // Prefer to end a chunk on a sentence boundary, then on a word boundary
+    if (end < text.length) {
+      const sentenceEnd = text.lastIndexOf('. ', end);
+      const wordEnd = text.lastIndexOf(' ', end);
+      
+      if (sentenceEnd > start + chunkSize / 2) {
+        end = sentenceEnd + 1;
+      } else if (wordEnd > start + chunkSize / 2) {
+        end = wordEnd;
+      }
+    }
+    
+    const chunk = text.substring(start, end).trim();
+    if (chunk) chunks.push({ text: chunk, start, end });
+    
+    if (end >= text.length) break;
+    
+    let nextStart = Math.max(end - overlap, start + 1);
+    const wordStart = text.indexOf(' ', nextStart);
+    if (wordStart > -1 && wordStart < end) {
+      nextStart = wordStart + 1;
+    }
+    start = nextStart;
+  }
+  
+  return chunks;
+};
+
+const keywordScore = (query, text) => {
+  const queryWords = query.toLowerCase().split(/\W+/).filter(w => w.length > 2);
+  if (queryWords.length === 0) return 0;
+  
+  const lowerText = text.toLowerCase();
+  return queryWords.filter(word => lowerText.includes(word)).length / queryWords.length;
+};
+
+// Pages and heading covering text[start, end), from the sections recorded by processDocument
+const locateChunk = (sections, start, end) => {
+  const covering = sections.filter((section, i) => section.start < end && (sections[i + 1]?.start ?? Infinity) > start);
+  
+  return {
+    pages: [...new Set(covering.map(section => section.page).filter(Boolean))],
+    heading: covering.map(section => section.heading).find(Boolean) || null
+  };
+};
+
+const indexDocument = async (documentId, name, text, sections = []) => {
+  const allChunks = splitIntoChunks(text);
+  const chunks = allChunks
+    .slice(0, DOCUMENT_CONFIG.maxChunks)
+    .map((chunk, index) => ({ index, text: chunk.text, ...locateChunk(sections, chunk.start, chunk.end), embedding: null }));
+  
+  if (EMBEDDING_CONFIG.enabled) {
+    try {
+      for (const chunk of chunks) {
+        chunk.embedding = await embedText(chunk.text);
+      }
+    } catch (err) {
+      console.error(`Could not embed "${name}", using keyword retrieval:`, err.message || err);
+      chunks.forEach(chunk => { chunk.embedding = null; });
+    }
+  }
+  
+  const entry = {
+    name,
+    text,
+    sections,
+    chunks,
+    wasTruncated: allChunks.length > chunks.length,
+    createdAt: Date.now()
   };
+  
+  documentIndex.set(documentId, entry);
+  
+  while (documentIndex.size > DOCUMENT_CONFIG.maxIndexedDocuments) {
+    const oldestId = documentIndex.keys().next().value;
+    documentIndex.delete(oldestId);
+  }
+  
+  console.log(`Indexed "${name}" into ${chunks.length} chunks`);
+  return entry;
+};
+
+// The index lives in memory, so rebuild it from the session text when it was
+// evicted or the bot restarted. That copy is capped at maxSessionChars.
+const getDocumentIndex = async (session) => {
+  if (!session.documentId) return null;
+  
+  const entry = documentIndex.get(session.documentId);
+  if (entry) return entry;
+  
+  if (!session.documentText) return null;
+  return indexDocument(session.documentId, session.documentName || 'document', session.documentText, session.documentSections);
+};
+
+const retrieveRelevantChunks = async (entry, query, topK = DOCUMENT_CONFIG.topK) => {
+  let scored;
+  
+  if (entry.chunks.every(chunk => chunk.embedding)) {
+    try {
+      const queryEmbedding = await embedText(query);
+      scored = entry.chunks.map(chunk => ({ ...chunk, score: cosineSimilarity(queryEmbedding, chunk.embedding) }));
+    } catch (err) {
+      console.error('Query embedding failed, using keyword retrieval:', err.message || err);
+    }
+  }
+  
+  if (!scored) {
+    scored = entry.chunks.map(chunk => ({ ...chunk, score: keywordScore(query, chunk.text) }));
+  }
+  
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .sort((a, b) => a.index - b.index);
+};
+
+// Summaries need coverage of the whole document, so sample chunks evenly instead of by relevance
+const selectRepresentativeChunks = (entry, count = DOCUMENT_CONFIG.summaryChunks) => {
+  if (entry.chunks.length <= count) return entry.chunks;
+  
+  const step = (entry.chunks.length - 1) / (count - 1);
+  const picked = new Set();
+  for (let i = 0; i < count; i++) {
+    picked.add(Math.round(i * step));
+  }
+  
+  return [...picked].map(index => entry.chunks[index]);
+};
+
+// [3, 4, 5, 9] -> "pp. 3-5, 9"
+const formatPages = (pages) => {
+  const sorted = [...new Set(pages)].sort((a, b) => a - b);
+  if (sorted.length === 0) return '';
+  
+  const ranges = [];
+  sorted.forEach(page => {
+    const last = ranges[ranges.length - 1];
+    if (last && page === last[1] + 1) {
+      last[1] = page;
+    } else {
+      ranges.push([page, page]);
+    }
+  });
+  
+  const label = ranges.map(([from, to]) => from === to ? `${from}` : `${from}-${to}`).join(', ');
+  return sorted.length === 1 ? `p. ${label}` : `pp. ${label}`;
+};
+
+const describeLocation = (chunk) => [formatPages(chunk.pages || []), chunk.heading ? `"${chunk.heading}"` : '']
+  .filter(Boolean)
+  .join(', ');
+
+const formatChunksForPrompt = (chunks) => {
+  return chunks
+    .map(chunk => {
+      const location = describeLocation(chunk);
+      return `[Excerpt ${chunk.index + 1}${location ? ` - ${location}` : ''}]\n${chunk.text}`;
+    })
+    .join('\n\n');
+};
+
+// Asks the model to cite where excerpts came from, when they carry pages or headings
+const citationInstruction = (chunks) => {
+  if (chunks.some(chunk => chunk.pages?.length)) {
+    return 'Cite the page of each fact in brackets, for example [p. 4].\n\n';
+  }
+  if (chunks.some(chunk => chunk.heading)) {
+    return 'Cite the section of each fact in brackets, for example [Returns].\n\n';
+  }
+  return '';
+};
+
+// "manual.pdf, pp. 3-4, 12" covering every excerpt the answer was based on
+const describeDocumentSources = (docName, chunks) => {
+  const pages = formatPages(chunks.flatMap(chunk => chunk.pages || []));
+  const headings = [...new Set(chunks.map(chunk => chunk.heading).filter(Boolean))];
+  
+  if (pages) return `${docName}, ${pages}`;
+  if (headings.length > 0) return `${docName} - ${headings.join('; ')}`;
+  return `${docName}, excerpts ${chunks.map(chunk => chunk.index + 1).join(', ')}`;
+};
+
+// Document text for a KB entry, with [p. N] marking where each page starts
+const annotatePages = (text, sections, limit) => {
+  const pageStarts = sections.filter((section, i) => section.page && section.page !== sections[i - 1]?.page && section.start < limit);
+  if (pageStarts.length === 0) return text.substring(0, limit);
+  
+  let annotated = text.substring(0, pageStarts[0].start);
+  pageStarts.forEach((section, i) => {
+    const end = Math.min(pageStarts[i + 1]?.start ?? limit, limit);
+    annotated += `[p. ${section.page}] ${text.substring(section.start, end)}`;
+  });
+  
+  return annotated;
+};
+
+const clearDocumentSession = (session) => {
+  if (session.documentId) {
+    documentIndex.delete(session.documentId);
+  }
+  
+  delete session.documentId;
+  delete session.documentText;
+  delete session.documentSections;
+  delete session.documentName;
+  delete session.documentTimestamp;
 };
 
 // ==================== CRASH PREVENTION HELPERS ====================
@@ -473,56 +1060,463 @@ const processWithTimeout = async (operation, operationName, timeoutMs = SAFETY_C
   });
 };
 
-const queryGroqAI = async (question, context = null) => {
-  if (!GROQ_CONFIG.enabled) return null;
+// Passing onToken streams the completion; the answer is still returned as a whole
+// once it is complete (or whatever arrived before the stream failed).
+const queryAI = async (question, context = null, { history = [], model = null, onToken = null, language = null } = {}) => {
+  if (!llm.enabled) return null;
   
-  return processWithTimeout(async () => {
-    let systemPrompt = `You are a helpful AI assistant. Provide accurate and concise answers.`;
-    
-    if (context) {
-      systemPrompt += `\n\nRelevant context:\n${context.substring(0, 1500)}\n\n`;
-    }
-    
-    const userPrompt = `Question: ${question}\n\nAnswer:`;
-    
-    try {
-      const response = await axios.post(
-        GROQ_CONFIG.endpoint,
-        {
-          model: GROQ_CONFIG.defaultModel,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          temperature: 0.7,
-          max_tokens: 800
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${GROQ_CONFIG.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: GROQ_CONFIG.timeout
-        }
-      );
-      
-      if (response.data?.choices?.[0]?.message?.content) {
-        return response.data.choices[0].message.content.trim();
-      }
-      return null;
-    } catch (error) {
-      console.error('Groq request failed:', error.message);
-      throw error;
-    }
-  }, 'Groq AI Query', GROQ_CONFIG.timeout + 5000);
-};
-
+  let systemPrompt = `You are a helpful AI assistant. Provide accurate and concise answers.`;
+  
+  if (language && language !== 'en') {
+    systemPrompt += ` The user speaks ${getLanguageName(language)}, so always reply in ${getLanguageName(language)}.`;
+  } else {
+    systemPrompt += ` Reply in the same language as the question.`;
+  }
+  
+  if (context) {
+    systemPrompt += `\n\nRelevant context:\n${context.substring(0, 1500)}\n\n`;
+  }
+  
+  const userPrompt = `Question: ${question}\n\nAnswer:`;
+  
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    ...history,
+    { role: 'user', content: userPrompt }
+  ];
+  
+  if (!onToken || !STREAM_CONFIG.enabled) {
+    return processWithTimeout(async () => {
+      const result = await llm.chat(messages, { model: model || llm.defaultModel });
+      return result ? result.content : null;
+    }, 'AI Query', llm.totalTimeout + 5000);
+  }
+  
+  const controller = new AbortController();
+  let streamed = '';
+  
+  try {
+    const result = await processWithTimeout(
+      () => llm.chatStream(messages, {
+        model: model || llm.defaultModel,
+        signal: controller.signal,
+        onToken: (token) => {
+          streamed += token;
+          onToken(token);
+        }
+      }),
+      'AI Stream',
+      STREAM_CONFIG.maxDuration
+    );
+    
+    if (result?.partial) {
+      console.warn(`AI stream from ${result.provider} ended early, keeping partial answer`);
+    }
+    return result ? result.content : null;
+  } catch (error) {
+    controller.abort();
+    
+    if (streamed.trim()) {
+      console.warn('AI stream failed, keeping partial answer:', error.message);
+      return streamed.trim();
+    }
+    throw error;
+  }
+};
+
+// ==================== STREAMING REPLIES ====================
+// AI answers are shown while they are generated: one Telegram message is sent
+// on the first token and then edited in place, at most once per editInterval.
+const STREAM_CONFIG = {
+  enabled: process.env.AI_STREAMING !== 'false',
+  editInterval: parseInt(process.env.STREAM_EDIT_INTERVAL_MS, 10) || 700,
+  // Streams are bounded by time without progress (provider timeouts), this is the hard cap
+  maxDuration: 120000,
+  maxMessageLength: 4000
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const createReplyStream = (ctx, title, { placeholder = null } = {}) => {
+  let text = '';
+  let messageId = null;
+  let shownText = null;
+  let lastEditAt = 0;
+  let finished = false;
+  let pending = Promise.resolve();
+  
+  const render = (body, typing) => {
+    const header = `<b>${title}:</b>\n\n`;
+    let visible = body;
+    if (visible.length > STREAM_CONFIG.maxMessageLength - header.length) {
+      visible = '…' + visible.slice(-(STREAM_CONFIG.maxMessageLength - header.length - 1));
+    }
+    return header + escapeHtml(visible) + (typing ? ' ▌' : '');
+  };
+  
+  // Sends and edits are chained so they reach Telegram in order
+  const show = (content, extra = {}) => {
+    pending = pending.then(async () => {
+      if (content === shownText && !extra.reply_markup) return;
+      
+      if (messageId === null) {
+        const message = await ctx.reply(content, { parse_mode: 'HTML', ...extra });
+        messageId = message.message_id;
+      } else {
+        await ctx.telegram.editMessageText(ctx.chat.id, messageId, undefined, content, { parse_mode: 'HTML', ...extra });
+      }
+      shownText = content;
+    }).catch(err => {
+      console.error('Stream message update failed:', err.message);
+    });
+    return pending;
+  };
+  
+  if (placeholder) {
+    pending = ctx.reply(placeholder).then(message => {
+      messageId = message.message_id;
+    }).catch(err => {
+      console.error('Stream placeholder failed:', err.message);
+    });
+  }
+  
+  const onToken = (token) => {
+    if (finished) return;
+    text += token;
+    
+    const now = Date.now();
+    if (now - lastEditAt >= STREAM_CONFIG.editInterval) {
+      lastEditAt = now;
+      show(render(text, true));
+    }
+  };
+  
+  // Shows the final answer in the streamed message (or a new one if nothing
+  // streamed); long answers continue in follow-up messages. The footer and
+  // buttons go on the last message. Returns false when there is nothing to
+  // show so callers can send their own fallback.
+  const finish = async (answer, { footer = '', replyMarkup = null } = {}) => {
+    finished = true;
+    await pending;
+    
+    if (!answer) return false;
+    
+    const full = footer ? `${answer}\n\n${footer}` : answer;
+    const header = `<b>${title}:</b>\n\n`;
+    const limit = STREAM_CONFIG.maxMessageLength - header.length;
+    const extra = replyMarkup ? { reply_markup: replyMarkup } : {};
+    const isLast = (end) => end >= full.length;
+    
+    await show(header + escapeHtml(full.slice(0, limit)), isLast(limit) ? extra : {});
+    for (let offset = limit; offset < full.length; offset += STREAM_CONFIG.maxMessageLength) {
+      const end = offset + STREAM_CONFIG.maxMessageLength;
+      await ctx.reply(full.slice(offset, end), isLast(end) ? extra : undefined);
+    }
+    return true;
+  };
+  
+  return { onToken, finish };
+};
+
+// ==================== SOURCES ====================
+// Every answer lists what it was built from: KB entries ({ type: 'kb', id,
+// question }) or document excerpts ({ type: 'doc', document, index, pages,
+// heading, text }). They are shown as a "Sources" footer with a button per
+// source. Excerpts only live in the session, so their buttons open the
+// excerpts of the latest answer only.
+const SOURCES_CONFIG = {
+  maxButtons: 6,
+  labelLength: 48,
+  footerQuestionLength: 60
+};
+
+const knowledgeSource = (entry) => ({ type: 'kb', id: entry.id, question: entry.question });
+
+// For AI answers that stand in for a knowledge base answer without using any entry
+const NO_SOURCES_FOOTER = 'Sources: none, this answer is not from the knowledge base';
+
+const documentSources = (docName, chunks) => chunks.map(chunk => ({
+  type: 'doc',
+  document: docName,
+  index: chunk.index,
+  pages: chunk.pages || [],
+  heading: chunk.heading || null,
+  text: chunk.text
+}));
+
+const shorten = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+// Legacy Markdown has no escapes inside entities, so these characters are dropped
+const escapeMarkdown = (text) => text.replace(/[*_`[]/g, '');
+
+// "Sources: #12 What are your store hours?; #15 Refund policy" or "Sources: manual.pdf, pp. 3-4"
+const formatSourcesFooter = (sources) => {
+  if (sources.length === 0) return '';
+  
+  const entries = sources
+    .filter(source => source.type === 'kb')
+    .map(source => `#${source.id} ${shorten(source.question, SOURCES_CONFIG.footerQuestionLength)}`);
+  
+  const excerptsByDocument = new Map();
+  sources.filter(source => source.type === 'doc').forEach(source => {
+    excerptsByDocument.set(source.document, [...(excerptsByDocument.get(source.document) || []), source]);
+  });
+  const documents = [...excerptsByDocument].map(([docName, excerpts]) => describeDocumentSources(docName, excerpts));
+  
+  return `Sources: ${[...entries, ...documents].join('; ')}`;
+};
+
+const sourceButtonLabel = (source) => {
+  if (source.type === 'kb') {
+    return shorten(`#${source.id} ${source.question}`, SOURCES_CONFIG.labelLength);
+  }
+  const location = describeLocation(source).replace(/"/g, '') || `excerpt ${source.index + 1}`;
+  return shorten(`${source.document}, ${location}`, SOURCES_CONFIG.labelLength);
+};
+
+// Footer and "open source" buttons for an answer (no reply_markup when there
+// are no sources). Excerpt text is kept in the session so its button can show it later.
+const describeSources = (session, sources = []) => {
+  if (sources.length === 0) return { footer: '', replyMarkup: undefined };
+  
+  const shown = sources.slice(0, SOURCES_CONFIG.maxButtons);
+  const excerpts = shown.filter(source => source.type === 'doc');
+  const answerId = excerpts.length > 0 ? Date.now().toString(36) : null;
+  
+  if (answerId) {
+    session.answerExcerpts = {
+      answerId,
+      excerpts: excerpts.map(source => ({ label: sourceButtonLabel(source), text: source.text }))
+    };
+  }
+  
+  const buttons = shown.map(source => ({
+    text: sourceButtonLabel(source),
+    callback_data: source.type === 'kb'
+      ? `src_kb_${source.id}`
+      : `src_doc_${answerId}_${excerpts.indexOf(source)}`
+  }));
+  
+  console.log(`Answer sources: ${sources.map(source => source.type === 'kb' ? `kb #${source.id}` : `${source.document} excerpt ${source.index + 1}`).join(', ')}`);
+  
+  return {
+    footer: formatSourcesFooter(sources),
+    replyMarkup: { inline_keyboard: buttons.map(button => [button]) }
+  };
+};
+
+// Opens a source button: the KB entry as stored now, or the document excerpt
+const openSource = async (ctx, callbackData) => {
+  const limit = STREAM_CONFIG.maxMessageLength - 200;
+  
+  if (callbackData.startsWith('src_kb_')) {
+    const id = callbackData.slice('src_kb_'.length);
+    const entry = storageAvailable ? await storage.getKnowledge(id) : null;
+    
+    if (!entry) {
+      return ctx.reply(`Source #${id} is no longer in the knowledge base.`);
+    }
+    
+    const canEdit = await hasRole(ctx.from?.id, 'editor');
+    return ctx.reply(
+      `<b>Source #${entry.id}</b>\n\n<b>Q:</b> ${escapeHtml(entry.question)}\n\n` +
+      `<b>A:</b> ${escapeHtml(shorten(entry.answer || entry.content || '', limit))}`,
+      { parse_mode: 'HTML', reply_markup: canEdit ? entryActionsKeyboard(entry.id) : undefined }
+    );
+  }
+  
+  const [answerId, position] = callbackData.slice('src_doc_'.length).split('_');
+  const saved = ctx.session.answerExcerpts;
+  const excerpt = saved?.answerId === answerId ? saved.excerpts[Number(position)] : null;
+  
+  if (!excerpt) {
+    return ctx.reply('This excerpt is no longer available. Only the sources of the latest document answer can be opened.');
+  }
+  
+  return ctx.reply(
+    `<b>${escapeHtml(excerpt.label)}</b>\n\n${escapeHtml(shorten(excerpt.text, limit))}`,
+    { parse_mode: 'HTML' }
+  );
+};
+
+// Sends an enhancedFindAnswer result: AI answers finish their stream, the
+// others get a labelled message. Both carry the sources footer and buttons.
+const replyWithAnswer = async (ctx, stream, response) => {
+  const { footer, replyMarkup } = describeSources(ctx.session, response.sources);
+  
+  if (await stream.finish(response.source === 'ai' ? response.answer : null, { footer, replyMarkup })) return;
+  
+  const sourceLabel = response.source === 'knowledge_base' ? 'Knowledge Base' : 
+                     response.source === 'ai' ? 'AI Response' : 'Default';
+  
+  await ctx.reply(
+    `**${sourceLabel}:**\n\n${response.answer}${footer ? `\n\n${escapeMarkdown(footer)}` : ''}`,
+    { parse_mode: 'Markdown', reply_markup: replyMarkup }
+  );
+};
+
+// ==================== MODEL SELECTION ====================
+// Users pick their own model (kept in their session); admins control the
+// deployment-wide default and which models users may pick from.
+let modelSettings = null;
+
+const getModelSettings = async () => {
+  if (modelSettings) return modelSettings;
+  
+  let stored = null;
+  if (storageAvailable) {
+    try {
+      stored = await storage.getSetting('ai_models');
+    } catch (err) {
+      console.error('Could not load model settings, using defaults:', err.message || err);
+      return {
+        defaultModel: llm.defaultModel,
+        allowedModels: llm.availableModels
+      };
+    }
+  }
+  
+  const allowedModels = (stored?.allowedModels || llm.availableModels)
+    .filter(model => llm.availableModels.includes(model));
+  
+  modelSettings = {
+    defaultModel: stored?.defaultModel || llm.defaultModel,
+    allowedModels: allowedModels.length > 0 ? allowedModels : llm.availableModels
+  };
+  
+  return modelSettings;
+};
+
+const saveModelSettings = async (updates) => {
+  const next = { ...(await getModelSettings()), ...updates };
+  
+  if (!next.allowedModels.includes(next.defaultModel)) {
+    next.defaultModel = next.allowedModels[0];
+  }
+  
+  if (storageAvailable) {
+    await storage.setSetting('ai_models', next);
+  }
+  
+  modelSettings = next;
+  return next;
+};
+
+const resolveModel = async (session) => {
+  const { defaultModel, allowedModels } = await getModelSettings();
+  
+  if (session?.aiModel && allowedModels.includes(session.aiModel)) {
+    return session.aiModel;
+  }
+  
+  return allowedModels.includes(defaultModel) ? defaultModel : allowedModels[0];
+};
+
+// ==================== CONVERSATION MEMORY ====================
+const CONVERSATION_CONFIG = {
+  maxHistoryTokens: 1500,
+  keepRecentMessages: 4,
+  maxSummaryChars: 1200
+};
+
+// Rough estimate; good enough to keep the prompt inside the model's budget
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const estimateHistoryTokens = (turns) => turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+
+const getHistoryMessages = (session) => {
+  const messages = [];
+  
+  if (session.historySummary) {
+    messages.push({
+      role: 'system',
+      content: `Summary of the earlier conversation:\n${session.historySummary}`
+    });
+  }
+  
+  return messages.concat(session.history || []);
+};
+
+const summarizeTurns = async (previousSummary, turns, model) => {
+  const transcript = turns
+    .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+    .join('\n');
+  
+  const summary = await queryAI(
+    `Summarize this conversation in a few sentences, keeping names, numbers and open questions:\n\n` +
+    (previousSummary ? `EARLIER SUMMARY:\n${previousSummary}\n\n` : '') +
+    `CONVERSATION:\n${transcript}`,
+    null,
+    { model }
+  );
+  
+  return summary ? summary.substring(0, CONVERSATION_CONFIG.maxSummaryChars) : previousSummary;
+};
+
+const compactHistory = async (session) => {
+  const history = session.history || [];
+  
+  if (estimateHistoryTokens(history) <= CONVERSATION_CONFIG.maxHistoryTokens) return;
+  
+  const older = history.slice(0, -CONVERSATION_CONFIG.keepRecentMessages);
+  let recent = history.slice(-CONVERSATION_CONFIG.keepRecentMessages);
+  
+  if (older.length > 0) {
+    try {
+      session.historySummary = await summarizeTurns(session.historySummary, older, await resolveModel(session));
+    } catch (err) {
+      console.error('Conversation summary failed, dropping older turns:', err.message);
+    }
+  }
+  
+  // Very long single turns can still overflow the budget on their own
+  while (recent.length > 2 && estimateHistoryTokens(recent) > CONVERSATION_CONFIG.maxHistoryTokens) {
+    recent = recent.slice(2);
+  }
+  
+  session.history = recent;
+};
+
+// Summarising is an extra LLM call, so it is not awaited by the reply. It
+// runs as its own job in the chat's queue, right after this update has saved
+// the session and before the chat's next update loads it.
+const recordTurn = (ctx, userText, assistantText) => {
+  if (!llm.enabled) return;
+  
+  const session = ctx.session;
+  session.history = (session.history || []).concat(
+    { role: 'user', content: userText },
+    { role: 'assistant', content: assistantText }
+  );
+  
+  const key = sessionKey(ctx);
+  if (!key || estimateHistoryTokens(session.history) <= CONVERSATION_CONFIG.maxHistoryTokens) return;
+  
+  enqueueUpdate(updateQueueKey(ctx), async () => {
+    try {
+      const stored = await sessionStore.get(key);
+      if (!stored?.history) return;
+      
+      await compactHistory(stored);
+      await sessionStore.set(key, stored);
+    } catch (err) {
+      console.error('Conversation compaction failed:', err.message || err);
+    }
+  });
+};
+
+const clearHistory = (session) => {
+  delete session.history;
+  delete session.historySummary;
+};
+
 // ==================== BOT INITIALIZATION ====================
-const gTTS = require('gtts');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const os = require('os');
-const path = require('path');
 
 const bot = new Telegraf(process.env.BOT_TOKEN, {
   telegram: {
@@ -531,15 +1525,98 @@ const bot = new Telegraf(process.env.BOT_TOKEN, {
     timeout: 10000,
     webhookReply: false
   },
+  // Only covers handing the update to its chat's queue, see UPDATE QUEUE
   handlerTimeout: 29000
 });
 
+// ==================== UPDATE QUEUE ====================
+// Telegraf gives up on a handler after handlerTimeout and reports an error
+// while the handler keeps running, and long polling waits for a whole batch
+// of updates before fetching more. Long recordings, AI streams, OCR,
+// document indexing and imports all take longer than that, so updates are
+// handled outside Telegraf's chain instead: one at a time per chat, in the
+// order they arrived, without a time limit. Failures are reported by the
+// queue itself. Telegram counts an update as delivered once it is queued, so
+// shutdown waits for the queues to drain.
+const chatQueues = new Map();
+let queuedJobs = 0;
+
+const enqueueUpdate = (key, job) => {
+  queuedJobs++;
+  const queued = (chatQueues.get(key) || Promise.resolve())
+    .then(job)
+    .finally(() => { queuedJobs--; });
+  chatQueues.set(key, queued);
+  queued.then(() => {
+    if (chatQueues.get(key) === queued) chatQueues.delete(key);
+  });
+  return queued;
+};
+
+// Resolves once every queued update has been handled
+const whenIdle = async () => {
+  while (chatQueues.size > 0) {
+    await Promise.all(chatQueues.values());
+  }
+};
+
+const updateQueueKey = (ctx) => ctx.chat?.id ?? ctx.from?.id ?? 'global';
+
+// Some updates have no chat to answer in, so replying may throw
+const turnAway = (ctx, text) => Promise.resolve()
+  .then(() => ctx.reply(text))
+  .catch(() => {});
+
+bot.use((ctx, next) => {
+  if (isShuttingDown) {
+    return turnAway(ctx, 'Bot is restarting. Please try again in a moment.');
+  }
+  
+  if (queuedJobs >= SAFETY_CONFIG.MAX_QUEUED_UPDATES) {
+    return turnAway(ctx, 'Bot is busy. Please try again in a moment.');
+  }
+  
+  enqueueUpdate(updateQueueKey(ctx), () => Promise.resolve()
+    .then(next)
+    .catch(err => reportBotError(err, ctx)));
+});
+
+// ==================== SESSIONS ====================
+const SESSION_CONFIG = {
+  store: process.env.SESSION_STORE || 'storage',
+  ttlMs: (parseFloat(process.env.SESSION_TTL_HOURS) || 168) * 60 * 60 * 1000,
+  cleanupInterval: 60 * 60 * 1000
+};
+
+const usePersistentSessions = storageAvailable && SESSION_CONFIG.store === 'storage';
+
+const sessionStore = usePersistentSessions
+  ? createSessionStore(storage, SESSION_CONFIG.ttlMs)
+  : new MemorySessionStore(SESSION_CONFIG.ttlMs);
+
+// Telegraf's default key, spelled out so jobs outside a handler can load the session
+const sessionKey = (ctx) => (ctx.from && ctx.chat ? `${ctx.from.id}:${ctx.chat.id}` : undefined);
+
 bot.use(session({
-  store: new MemorySessionStore(),
+  store: sessionStore,
+  getSessionKey: sessionKey,
   defaultSession: () => ({})
 }));
 
+console.log(`Session store: ${usePersistentSessions ? storage.name : 'memory'}`);
+
 // ==================== WHISPER MODEL ====================
+// The default English-only model is the smallest; a multilingual one such as
+// Xenova/whisper-base or Xenova/whisper-small detects the spoken language.
+const WHISPER_CONFIG = {
+  model: process.env.WHISPER_MODEL || 'Xenova/whisper-tiny.en',
+  // Forces one language on multilingual models instead of detecting it per message
+  language: process.env.WHISPER_LANGUAGE || null,
+  defaultLanguage: 'en'
+};
+
+WHISPER_CONFIG.multilingual = !WHISPER_CONFIG.model.endsWith('.en');
+
 let transcriber = null;
 let isModelLoading = false;
 const modelLoadQueue = [];
@@ -555,10 +1632,10 @@ const loadTranscriber = async () => {
     }
     
     isModelLoading = true;
-    console.log('Loading Whisper model...');
+    console.log(`Loading Whisper model ${WHISPER_CONFIG.model}...`);
     
     try {
-      transcriber = await pipeline('automatic-speech-recognition', 'Xenova/whisper-tiny.en', {
+      transcriber = await pipeline('automatic-speech-recognition', WHISPER_CONFIG.model, {
         device: 'cpu',
         quantized: true
       });
@@ -580,8 +1657,167 @@ const loadTranscriber = async () => {
   }, 'Load Whisper Model', 60000);
 };
 
+// Whisper writes the language it detected as a token like <|sw|> at the start
+// of the generated sequence; the pipeline drops it, so read it from the raw tokens.
+const readLanguageToken = (model, tokens) => {
+  for (const id of tokens.slice(0, 4)) {
+    const token = model.tokenizer.decode([Number(id)], { skip_special_tokens: false });
+    const match = token.match(/^<\|([a-z]{2,3})\|>$/);
+    if (match) return match[1];
+  }
+  return null;
+};
+
+// One Whisper pass over at most one window of audio. With timestamps the
+// result also has segments: [{ start, end, text }] in seconds into the window.
+const runWhisper = async (model, audio, language, { timestamps = false } = {}) => {
+  const options = timestamps ? { return_timestamps: true } : {};
+  let detectedLanguage = null;
+  
+  if (WHISPER_CONFIG.multilingual) {
+    options.task = 'transcribe';
+    options.language = language;
+    options.chunk_callback = (chunk) => {
+      detectedLanguage = detectedLanguage || readLanguageToken(model, chunk.tokens);
+    };
+  }
+  
+  const result = await processWithTimeout(
+    () => Object.keys(options).length > 0 ? model(audio, options) : model(audio),
+    'Speech Recognition',
+    30000
+  );
+  
+  const transcript = {
+    text: result.text?.trim() || '',
+    language: WHISPER_CONFIG.multilingual
+      ? language || detectedLanguage || WHISPER_CONFIG.defaultLanguage
+      : WHISPER_CONFIG.defaultLanguage
+  };
+  
+  if (timestamps) {
+    const duration = audio.length / SAMPLE_RATE;
+    transcript.segments = (result.chunks || [])
+      .map(chunk => ({
+        start: chunk.timestamp?.[0] ?? 0,
+        // The last segment of a window can be left open
+        end: chunk.timestamp?.[1] ?? duration,
+        text: chunk.text.trim()
+      }))
+      .filter(segment => segment.text);
+  }
+  
+  return transcript;
+};
+
+// ==================== LONG RECORDINGS ====================
+// Whisper works on 30-second windows. Longer recordings are cut into windows
+// that overlap by a few seconds so no word is lost at a boundary, transcribed
+// one after another, and stitched back together. The decoded audio is capped
+// by both a duration and a memory limit (16 kHz mono float32 = 64 KB/s).
+const SAMPLE_RATE = 16000;
+
+const TRANSCRIPTION_CONFIG = {
+  windowSeconds: parseInt(process.env.TRANSCRIBE_WINDOW_SECONDS, 10) || 30,
+  overlapSeconds: parseInt(process.env.TRANSCRIBE_OVERLAP_SECONDS, 10) || 5,
+  maxMinutes: parseFloat(process.env.TRANSCRIBE_MAX_MINUTES) || 15,
+  maxAudioMB: parseFloat(process.env.TRANSCRIBE_MAX_AUDIO_MB) || 64
+};
+
+TRANSCRIPTION_CONFIG.maxSeconds = Math.floor(Math.min(
+  TRANSCRIPTION_CONFIG.maxMinutes * 60,
+  TRANSCRIPTION_CONFIG.maxAudioMB * 1024 * 1024 / (SAMPLE_RATE * 4)
+));
+
+const splitAudioWindows = (audio) => {
+  const windowSize = TRANSCRIPTION_CONFIG.windowSeconds * SAMPLE_RATE;
+  const step = (TRANSCRIPTION_CONFIG.windowSeconds - TRANSCRIPTION_CONFIG.overlapSeconds) * SAMPLE_RATE;
+  const windows = [];
+  
+  for (let offset = 0; offset < audio.length; offset += step) {
+    windows.push(audio.subarray(offset, offset + windowSize));
+    if (offset + windowSize >= audio.length) break;
+  }
+  
+  return windows;
+};
+
+// Overlapping windows repeat a few words; drop the longest run of words that
+// ends the previous text and starts the next one.
+const stitchTranscripts = (previous, next) => {
+  if (!previous) return next;
+  if (!next) return previous;
+  
+  const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+  const previousWords = previous.split(/\s+/);
+  const nextWords = next.split(/\s+/);
+  const maxOverlap = Math.min(30, previousWords.length, nextWords.length);
+  
+  for (let size = maxOverlap; size > 0; size--) {
+    const tail = previousWords.slice(-size).map(normalize).join(' ');
+    const head = nextWords.slice(0, size).map(normalize).join(' ');
+    if (tail && tail === head) {
+      return [...previousWords, ...nextWords.slice(size)].join(' ');
+    }
+  }
+  
+  return `${previous} ${next}`;
+};
+
+const transcribeAudio = async (audioFloat32, { onProgress = null, timestamps = false } = {}) => {
+  const model = await loadTranscriber();
+  const windows = splitAudioWindows(audioFloat32);
+  
+  if (windows.length <= 1) {
+    return runWhisper(model, audioFloat32, WHISPER_CONFIG.language, { timestamps });
+  }
+  
+  const step = TRANSCRIPTION_CONFIG.windowSeconds - TRANSCRIPTION_CONFIG.overlapSeconds;
+  
+  // The first window decides the language so the whole recording is transcribed consistently
+  let language = WHISPER_CONFIG.language;
+  let text = '';
+  const segments = [];
+  
+  for (const [index, window] of windows.entries()) {
+    const result = await runWhisper(model, window, language, { timestamps });
+    language = language || result.language;
+    text = stitchTranscripts(text, result.text);
+    
+    if (timestamps) {
+      // Segments that start inside the overlap were already taken from the previous window
+      const offset = index * step;
+      const coveredUntil = segments.length > 0 ? segments[segments.length - 1].end : 0;
+      result.segments
+        .map(segment => ({ ...segment, start: segment.start + offset, end: segment.end + offset }))
+        .filter(segment => segment.start >= coveredUntil - 0.5)
+        .forEach(segment => segments.push(segment));
+    }
+    
+    if (onProgress) {
+      await onProgress(index + 1, windows.length);
+    }
+  }
+  
+  return timestamps ? { text, language, segments } : { text, language };
+};
+
+// ==================== LANGUAGES ====================
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+const getLanguageName = (code) => {
+  try {
+    return languageNames.of(code) || code;
+  } catch (err) {
+    return code;
+  }
+};
+
 // ==================== AUDIO PROCESSING ====================
-const decodeAudioToFloat32 = async (url) => {
+// Voice notes (OGG) are piped straight into ffmpeg. Audio files and videos go
+// through a temp file with fromFile, because MP4/M4A/MOV keep their index at
+// the end and ffmpeg cannot seek in a pipe. -vn drops any video track.
+const decodeAudioToFloat32 = async (url, { fromFile = false } = {}) => {
   return processWithTimeout(async () => {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 15000);
@@ -599,21 +1835,27 @@ const decodeAudioToFloat32 = async (url) => {
       const arrayBuffer = await response.arrayBuffer();
       clearTimeout(timeoutId);
       
+      const tmpFile = fromFile ? path.join(os.tmpdir(), `media-${Date.now()}-${Math.random().toString(36).slice(2)}`) : null;
+      if (tmpFile) {
+        await fs.promises.writeFile(tmpFile, Buffer.from(arrayBuffer));
+      }
+      
       return new Promise((resolve, reject) => {
         const ffmpeg = spawn('ffmpeg', [
-          '-i', 'pipe:0',
+          '-i', tmpFile || 'pipe:0',
+          '-vn',
           '-f', 'f32le',
           '-ar', '16000',
           '-ac', '1',
           '-hide_banner',
           '-loglevel', 'error',
-          '-t', '60',
+          '-t', String(TRANSCRIPTION_CONFIG.maxSeconds),
           'pipe:1'
         ], {
           stdio: ['pipe', 'pipe', 'pipe']
         });
         
-        ffmpeg.stdin.end(Buffer.from(arrayBuffer));
+        ffmpeg.stdin.end(tmpFile ? undefined : Buffer.from(arrayBuffer));
         
         const chunks = [];
         let stderr = '';
@@ -622,6 +1864,8 @@ const decodeAudioToFloat32 = async (url) => {
         ffmpeg.stderr.on('data', data => stderr += data.toString());
         
         ffmpeg.on('close', (code) => {
+          if (tmpFile) fs.unlink(tmpFile, () => {});
+          
           if (code !== 0) {
             reject(new Error(`FFmpeg error: ${stderr}`));
             return;
@@ -630,87 +1874,97 @@ const decodeAudioToFloat32 = async (url) => {
           resolve(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4));
         });
         
-        ffmpeg.on('error', reject);
+        ffmpeg.on('error', (err) => {
+          if (tmpFile) fs.unlink(tmpFile, () => {});
+          reject(err);
+        });
       });
     } catch (error) {
       clearTimeout(timeoutId);
       throw error;
     }
-  }, 'Audio Decoding', 30000);
+  }, 'Audio Decoding', 30000 + TRANSCRIPTION_CONFIG.maxSeconds * 50);
 };
 
-const textToVoice = async (text) => {
-  return processWithTimeout(() => {
-    return new Promise((resolve, reject) => {
-      const tts = new gTTS(text.substring(0, 500), 'en-us'); // US English female
-      const tmpFile = path.join(os.tmpdir(), `tts-${Date.now()}.mp3`);
-      
-      tts.save(tmpFile, (err) => {
-        if (err) return reject(err);
-        
-        fs.readFile(tmpFile, (readErr, data) => {
-          fs.unlink(tmpFile, () => {});
-          if (readErr) return reject(readErr);
-          resolve(data);
-        });
-      });
-    });
-  }, 'Text to Speech', 15000);
-};
+// ==================== TEXT TO SPEECH ====================
+// gTTS and/or offline engines (espeak-ng, Piper), tried in TTS_PROVIDERS order, see tts.js
+const tts = createTTS();
 
-// ==================== ENHANCED ANSWER FINDING ====================
-const enhancedFindAnswer = async (query, useAI = false) => {
+console.log(`TTS providers: ${tts.providers.map(provider => provider.name).join(', ') || 'none'}`);
+
+// Long answers are spoken in full, so the time limit grows with the number of pieces
+const textToVoice = async (text, language = null) => {
+  const pieces = tts.splitText(text).length;
+  
+  return processWithTimeout(
+    () => tts.synthesize(text, language),
+    'Text to Speech',
+    15000 + pieces * 15000
+  );
+};
+
+// ==================== ENHANCED ANSWER FINDING ====================
+// Answers are { source, answer, sources }, where sources lists the KB entries
+// the answer came from or that were given to the AI as context.
+
+const fetchKnowledgeContext = async (query) => {
+  if (!storageAvailable) return { context: null, sources: [] };
+  
+  try {
+    const data = await storage.searchKnowledge(query.substring(0, 20), 2);
+    
+    if (data.length > 0) {
+      return {
+        context: data.map(item => item.answer).join('\n'),
+        sources: data.map(knowledgeSource)
+      };
+    }
+  } catch (contextErr) {
+    console.log('Context fetch error:', contextErr.message);
+  }
+  
+  return { context: null, sources: [] };
+};
+
+const enhancedFindAnswer = async (query, useAI = false, { history = [], model = null, onToken = null, language = null } = {}) => {
   if (useAI) {
-    if (GROQ_CONFIG.enabled) {
+    if (llm.enabled) {
       try {
-        let context = null;
-        if (supabaseAvailable) {
-          try {
-            const { data } = await supabase
-              .from('knowledge_base')
-              .select('answer')
-              .or(`answer.ilike.%${query.substring(0, 20)}%,question.ilike.%${query.substring(0, 20)}%`)
-              .limit(2);
-            
-            if (data && data.length > 0) {
-              context = data.map(item => item.answer).join('\n');
-            }
-          } catch (contextErr) {
-            console.log('Context fetch error:', contextErr.message);
-          }
-        }
-        
-        const aiAnswer = await queryGroqAI(query, context);
+        const { context, sources } = await fetchKnowledgeContext(query);
+        const aiAnswer = await queryAI(query, context, { history, model, onToken, language });
         
         if (aiAnswer) {
           return {
-            source: 'groq_ai',
-            answer: aiAnswer
+            source: 'ai',
+            answer: aiAnswer,
+            sources
           };
         }
       } catch (error) {
-        console.error('Groq AI error:', error.message);
+        console.error('AI error:', error.message);
       }
     }
     
     return {
       source: 'default',
-      answer: getDefaultResponse(query)
+      answer: getDefaultResponse(query),
+      sources: []
     };
   }
   
-  if (supabaseAvailable) {
+  if (storageAvailable) {
     try {
-      const kbAnswer = await processWithTimeout(
-        () => findInSupabase(query),
+      const kbMatch = await processWithTimeout(
+        () => findInKnowledgeBase(query),
         'Knowledge Base Search',
         10000
       );
       
-      if (kbAnswer) {
+      if (kbMatch) {
         return {
           source: 'knowledge_base',
-          answer: kbAnswer
+          answer: kbMatch.answer,
+          sources: [knowledgeSource(kbMatch)]
         };
       }
     } catch (error) {
@@ -718,106 +1972,209 @@ const enhancedFindAnswer = async (query, useAI = false) => {
     }
   }
   
-  if (GROQ_CONFIG.enabled) {
+  if (llm.enabled) {
     try {
-      let context = null;
-      if (supabaseAvailable) {
-        try {
-          const { data } = await supabase
-            .from('knowledge_base')
-            .select('answer')
-            .or(`answer.ilike.%${query.substring(0, 20)}%,question.ilike.%${query.substring(0, 20)}%`)
-            .limit(2);
-          
-          if (data && data.length > 0) {
-            context = data.map(item => item.answer).join('\n');
-          }
-        } catch (contextErr) {
-          console.log('Context fetch error:', contextErr.message);
-        }
-      }
-      
-      const aiAnswer = await queryGroqAI(query, context);
+      const { context, sources } = await fetchKnowledgeContext(query);
+      const aiAnswer = await queryAI(query, context, { history, model, onToken, language });
       
       if (aiAnswer) {
         return {
-          source: 'groq_ai',
-          answer: aiAnswer
+          source: 'ai',
+          answer: aiAnswer,
+          sources
         };
       }
     } catch (error) {
-      console.error('Groq AI error:', error.message);
+      console.error('AI error:', error.message);
     }
   }
   
   return {
     source: 'default',
-    answer: getDefaultResponse(query)
+    answer: getDefaultResponse(query),
+    sources: []
   };
 };
 
 // ==================== GET KNOWLEDGE COUNT ====================
 const getKnowledgeCount = async () => {
-  if (!supabaseAvailable) return 0;
+  if (!storageAvailable) return 0;
   try {
-    const { count, error } = await supabase
-      .from('knowledge_base')
-      .select('*', { count: 'exact', head: true });
-    
-    if (error) {
-      console.error('Error getting knowledge count:', error);
-      return 0;
-    }
-    return count || 0;
+    return await storage.countKnowledge();
   } catch (err) {
     console.error('Error in getKnowledgeCount:', err);
     return 0;
   }
 };
 
+// ==================== ROLES & PERMISSIONS ====================
+const ROLE_LEVELS = {
+  user: 0,
+  editor: 1,
+  admin: 2
+};
+
+const parseUserIds = (value) => (value || '').split(',').map(id => id.trim()).filter(Boolean);
+
+const ROLE_CONFIG = {
+  admins: parseUserIds(process.env.ADMIN_USER_IDS),
+  editors: parseUserIds(process.env.EDITOR_USER_IDS)
+};
+
+if (ROLE_CONFIG.admins.length === 0) {
+  console.warn('ADMIN_USER_IDS not set — admin commands are only available to roles granted in storage');
+}
+
+const getUserRole = async (userId) => {
+  if (userId == null) return 'user';
+  
+  const id = String(userId);
+  let role = ROLE_CONFIG.admins.includes(id) ? 'admin'
+    : ROLE_CONFIG.editors.includes(id) ? 'editor'
+    : 'user';
+  
+  if (storageAvailable && role !== 'admin') {
+    try {
+      const stored = await storage.getRole(id);
+      if (stored && ROLE_LEVELS[stored.role] > ROLE_LEVELS[role]) {
+        role = stored.role;
+      }
+    } catch (err) {
+      console.error('Role lookup error:', err.message || err);
+    }
+  }
+  
+  return role;
+};
+
+const hasRole = async (userId, requiredRole) => {
+  return ROLE_LEVELS[await getUserRole(userId)] >= ROLE_LEVELS[requiredRole];
+};
+
+const requireRole = (requiredRole) => async (ctx, next) => {
+  if (await hasRole(ctx.from?.id, requiredRole)) {
+    return next();
+  }
+  
+  console.log(`Denied ${ctx.message?.text?.split(/\s/)[0] || 'action'} for user ${ctx.from?.id}: requires ${requiredRole}`);
+  await ctx.reply(`Sorry, this needs the ${requiredRole} role. Ask an admin to run /grant for you (your ID: ${ctx.from?.id}).`);
+};
+
+// oldQuestion is only set for renames, so older kb_audit_log tables without
+// the old_question column keep working for everything else
+const recordAudit = async (userId, action, entry, oldAnswer, newAnswer, oldQuestion = null) => {
+  if (!storageAvailable) return;
+  
+  try {
+    await storage.addAuditLog({
+      user_id: userId != null ? String(userId) : null,
+      action,
+      entry_id: entry?.id ?? null,
+      question: entry?.question ?? null,
+      old_answer: oldAnswer ?? null,
+      new_answer: newAnswer ?? null,
+      ...(oldQuestion ? { old_question: oldQuestion } : {})
+    });
+  } catch (err) {
+    console.error('Failed to write audit log:', err.message || err);
+  }
+};
+
+// Keeps the entry as it is after a change (as it was, for deletes), with a
+// diff against previous. Entries that predate revisions first get their
+// previous state recorded as an "original" revision so it can be restored.
+// Deletes also keep the entry's tags, for restoring it later.
+const recordRevision = async (userId, action, entry, previous = null) => {
+  if (!storageAvailable) return;
+  
+  try {
+    if (previous && (await storage.listRevisions(entry.id, 1)).length === 0) {
+      await storage.addRevision({
+        entry_id: entry.id,
+        action: 'original',
+        question: previous.question,
+        answer: previous.answer,
+        diff: null,
+        user_id: null
+      });
+    }
+    
+    await storage.addRevision({
+      entry_id: entry.id,
+      action,
+      question: entry.question,
+      answer: entry.answer,
+      diff: previous ? describeChange(previous, entry) : null,
+      user_id: userId != null ? String(userId) : null,
+      ...(entry.tags ? { tags: entry.tags } : {})
+    });
+  } catch (err) {
+    console.error('Failed to record revision:', err.message || err);
+  }
+};
+
 // ==================== BOT COMMANDS ====================
 
 bot.start(async (ctx) => {
   let welcomeMsg;
   
-  if (supabaseAvailable) {
+  if (storageAvailable) {
     const knowledgeCount = await getKnowledgeCount();
     welcomeMsg = `Welcome! I'm your AI voice assistant with ${knowledgeCount} pieces of knowledge.\n\n` +
-                `Send voice or text, and I'll reply from my knowledge base!\n\n` +
+                `Send voice, audio, video or text, and I'll reply from my knowledge base! Documents and photos of text can be summarized and searched.\n\n` +
                 `**Commands:**\n` +
                 `/voiceai - Voice AI mode: /voiceai on or /voiceai off\n` +
                 `/mode - Interactive menu to set voice/text/both modes\n` +
                 `/ask - Force AI response: /ask [question]\n` +
-                `/groqstatus - Check AI status\n` +
-                `/add - Add knowledge: /add "question" || "answer"\n` +
+                `/reset - Clear the AI conversation memory\n` +
+                `/transcribe - Transcript only (reply to a recording, or on/off)\n` +
+                `/aistatus - Check AI providers\n` +
+                `/add - Add knowledge (editor): /add "question" || "answer" #category\n` +
                 `/search - Search knowledge: /search [query]\n` +
-                `/faq - Show frequently asked questions\n` +
+                `/list - Browse all knowledge: /list [page]\n` +
+                `/edit, /delete, /undo - Change entries by ID and undo your last change (editor)\n` +
+                `/tag - Set an entry's category and tags: /tag [id] #category #tag (editor)\n` +
+                `/export, /import - Download or bulk-load the knowledge base (editor)\n` +
+                `/reindex - Generate missing search embeddings (admin)\n` +
+                `/faq - Browse frequently asked questions by category\n` +
                 `/stats - Show bot statistics\n` +
-                `/setmodel - Change AI model`;
+                `/setmodel - Choose your AI model\n` +
+                `/defaultmodel, /allowmodels - Default and allowed AI models (admin)\n` +
+                `/whoami - Show your Telegram ID and role\n` +
+                `/grant, /revoke, /roles, /audit - Manage roles and review changes (admin)\n` +
+                `/history, /rollback - Past versions of an entry and restoring one (admin)`;
   } else {
     welcomeMsg = 'Welcome! Send voice or text. (Knowledge base not available)';
-    if (GROQ_CONFIG.enabled) {
-      welcomeMsg += '\nGroq AI integration is enabled. Use /ask [question]';
+    if (llm.enabled) {
+      welcomeMsg += '\nAI integration is enabled. Use /ask [question]';
     }
   }
   
   ctx.reply(welcomeMsg, { parse_mode: 'Markdown' });
 });
 
-bot.command('add', async (ctx) => {
-  if (!supabaseAvailable) {
+bot.command('add', requireRole('editor'), async (ctx) => {
+  if (!storageAvailable) {
     return ctx.reply('Knowledge base unavailable.');
   }
   
   const payload = ctx.message.text?.replace(/^\/add\s*/i, '').trim();
   if (!payload) {
-    return ctx.reply(`**Usage:**\n\`/add "question" || "answer"\`\n\n**Examples:**\n• \`/add What is the return policy? || 30-day returns\`\n• \`/add How to reset password? || Click "Forgot Password" on login page\``, { parse_mode: 'Markdown' });
+    return ctx.reply(`**Usage:**\n\`/add "question" || "answer" #category #tag\`\n\n**Examples:**\n• \`/add What is the return policy? || 30-day returns #billing\`\n• \`/add How to reset password? || Click "Forgot Password" on login page\``, { parse_mode: 'Markdown' });
   }
   
   try {
-    const { question, answer, result } = await addKnowledge(payload);
-    const response = `${result}\n\n**Q:** ${question}\n**A:** ${answer.substring(0, 200)}${answer.length > 200 ? '...' : ''}`;
-    ctx.reply(response, { parse_mode: 'Markdown' });
+    const { question, answer, result, action, entry, tags, previous } = await addKnowledge(payload, ctx.from.id);
+    rememberChange(ctx.session, action, previous, entry);
+    let response = `${result}\n\n**Q:** ${question}\n**A:** ${answer.substring(0, 200)}${answer.length > 200 ? '...' : ''}`;
+    if (tags.length > 0) {
+      response += `\n**Tags:** ${formatTags(tags)}`;
+    }
+    await ctx.reply(response, { parse_mode: 'Markdown' });
+    
+    if (tags.length === 0) {
+      await offerTagSuggestion(ctx, entry);
+    }
   } catch (err) {
     console.error('Add error:', err);
     ctx.reply(`Error: ${err.message}\n\nFormat: \`/add "question" || "answer"\``, { parse_mode: 'Markdown' });
@@ -825,33 +2182,42 @@ bot.command('add', async (ctx) => {
 });
 
 bot.command('search', async (ctx) => {
-  if (!supabaseAvailable) {
+  if (!storageAvailable) {
     return ctx.reply('Knowledge base unavailable.');
   }
   
   const query = ctx.message.text?.replace(/^\/search\s*/i, '').trim();
   if (!query) {
-    return ctx.reply('**Usage:** `/search [query]`\nExample: `/search password reset`', { parse_mode: 'Markdown' });
+    return ctx.reply('**Usage:** `/search [query]`\nExamples: `/search password reset`, `/search #billing refund`, `/search #billing`', { parse_mode: 'Markdown' });
   }
   
+  const { text: topic, tags } = takeHashtags(query);
+  
   try {
-    const result = await findInSupabase(query);
-    if (result) {
-      await ctx.reply(`**Found:**\n\n${result}`, { parse_mode: 'Markdown' });
+    if (tags.length > 0 && !topic) {
+      return await listTaggedEntries(ctx, tags);
+    }
+    
+    const match = await findInKnowledgeBase(tags.length > 0 ? topic : query, { tags });
+    if (match) {
+      const { footer, replyMarkup } = describeSources(ctx.session, [knowledgeSource(match)]);
+      await ctx.reply(`**Found:**\n\n${match.answer}\n\n${escapeMarkdown(footer)}`, { parse_mode: 'Markdown', reply_markup: replyMarkup });
       
       // ADDED: Generate voice response for document-based answers
       try {
-        const voiceBuffer = await textToVoice(result.replace(/\*\*/g, '').replace(/`/g, ''));
+        const voiceBuffer = await textToVoice(match.answer.replace(/\*\*/g, '').replace(/`/g, ''));
         await ctx.replyWithVoice({ source: voiceBuffer });
       } catch (err) {
         console.error('Voice generation failed for document answer:', err.message);
       }
+    } else if (tags.length > 0) {
+      await ctx.reply(`No match for "${topic}" among the entries tagged ${formatTags(tags)}.`);
     } else {
-      if (GROQ_CONFIG.enabled) {
+      if (llm.enabled) {
         await ctx.reply('Not found in knowledge base. Asking AI...');
-        const aiResponse = await queryGroqAI(query);
-        if (aiResponse) {
-          await ctx.reply(`<b>AI Response:</b>\n\n${aiResponse}`, { parse_mode: 'HTML' });
+        const stream = createReplyStream(ctx, 'AI Response');
+        const aiResponse = await queryAI(query, null, { model: await resolveModel(ctx.session), onToken: stream.onToken });
+        if (await stream.finish(aiResponse, { footer: NO_SOURCES_FOOTER })) {
           
           // ADDED: Generate voice response for AI answers
           try {
@@ -883,55 +2249,36 @@ bot.command('search', async (ctx) => {
   }
 });
 
+bot.command('reindex', requireRole('admin'), async (ctx) => {
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
+  }
+  
+  if (!EMBEDDING_CONFIG.enabled) {
+    return ctx.reply('Semantic search is disabled. Set EMBEDDINGS_ENABLED=true to use it.');
+  }
+  
+  await ctx.reply('Generating embeddings for knowledge entries without them...');
+  
+  try {
+    const { updated, failed } = await backfillEmbeddings();
+    await ctx.reply(`Reindex complete.\n\n• Embedded: ${updated}\n• Failed: ${failed}`);
+  } catch (err) {
+    console.error('Reindex error:', err);
+    await ctx.reply('Error generating embeddings. Please try again.');
+  }
+});
+
 bot.command('faq', async (ctx) => {
-  if (!supabaseAvailable) {
+  if (!storageAvailable) {
     return ctx.reply('Knowledge base unavailable.');
   }
   
   try {
-    const { data } = await supabase
-      .from('knowledge_base')
-      .select('question')
-      .not('question', 'is', null)
-      .order('question')
-      .limit(15);
-    
-    if (data && data.length > 0) {
-      let response = '**Frequently Asked Questions**\n\n';
-      const categories = {};
-      
-      data.forEach(item => {
-        const question = item.question.toLowerCase();
-        let category = 'General';
-        
-        if (question.includes('hello') || question.includes('hi') || question.includes('hey')) category = 'Greetings';
-        else if (question.includes('how') && question.includes('use')) category = 'Usage';
-        else if (question.includes('what') && question.includes('you')) category = 'About';
-        else if (question.includes('account') || question.includes('login') || question.includes('password')) category = 'Account';
-        else if (question.includes('price') || question.includes('cost') || question.includes('free')) category = 'Pricing';
-        else if (question.includes('help') || question.includes('support')) category = 'Support';
-        
-        if (!categories[category]) categories[category] = [];
-        categories[category].push(item.question);
-      });
-      
-      for (const [category, questions] of Object.entries(categories)) {
-        response += `**${category}:**\n`;
-        questions.slice(0, 5).forEach(q => {
-          response += `• ${q}\n`;
-        });
-        response += '\n';
-      }
-      
-      response += `**Total knowledge:** ${await getKnowledgeCount()} items\n`;
-      response += '**Search:** `/search [topic]`\n';
-      response += '**Add:** `/add "question" || "answer"`';
-      
-      if (GROQ_CONFIG.enabled) {
-        response += '\n**AI:** `/ask [question]` or `/voiceai on`';
-      }
-      
-      await ctx.reply(response, { parse_mode: 'Markdown' });
+    const menu = await renderFaqMenu();
+    
+    if (menu) {
+      await ctx.reply(menu.text, { parse_mode: 'HTML', reply_markup: menu.replyMarkup });
     } else {
       await ctx.reply('No FAQs yet. Be the first to add one!\n\n`/add "question" || "answer"`', { parse_mode: 'Markdown' });
     }
@@ -947,146 +2294,1220 @@ bot.command('stats', async (ctx) => {
   let response = `**Knowledge Base Stats**\n\n` +
                  `• Total entries: ${count}\n` +
                  `• Voice model: ${transcriber ? 'Ready' : 'Loading'}\n` +
-                 `• Supabase: ${supabaseAvailable ? 'Connected' : 'Disconnected'}\n` +
-                 `• Groq AI: ${GROQ_CONFIG.enabled ? 'Enabled' : 'Disabled'}\n`;
+                 `• Voice replies: ${tts.providers.map(provider => provider.name).join(' → ') || 'Disabled'}\n` +
+                 `• Speech languages: ${!WHISPER_CONFIG.multilingual ? 'English only' : WHISPER_CONFIG.language ? getLanguageName(WHISPER_CONFIG.language) : 'Auto-detect'}\n` +
+                 `• Semantic search: ${!EMBEDDING_CONFIG.enabled ? 'Disabled' : embedder ? 'Ready' : 'Not loaded'}\n` +
+                 `• Storage: ${storageAvailable ? `Connected (${storage.name})` : 'Disconnected'}\n` +
+                 `• AI: ${llm.enabled ? `Enabled (${llm.providers.map(provider => provider.name).join(', ')})` : 'Disabled'}\n`;
   
-  if (GROQ_CONFIG.enabled) {
-    response += `• Current AI model: ${GROQ_CONFIG.defaultModel}\n`;
+  if (llm.enabled) {
+    const { defaultModel } = await getModelSettings();
+    response += `• Your AI model: ${await resolveModel(ctx.session)}\n`;
+    response += `• Default AI model: ${defaultModel}\n`;
   }
   
   response += `• Last check: ${new Date().toLocaleTimeString()}\n\n` +
               `Use /faq to see available questions`;
   
-  if (GROQ_CONFIG.enabled) {
-    response += `\nUse /groqstatus for AI details`;
+  if (llm.enabled) {
+    response += `\nUse /aistatus for AI details`;
     response += `\nUse /mode to switch between KB and AI`;
   }
   
   await ctx.reply(response, { parse_mode: 'Markdown' });
 });
 
-// ==================== GROQ COMMANDS ====================
+// ==================== KNOWLEDGE IMPORT & EXPORT ====================
+// /export sends the whole knowledge base as a file. /import reads a CSV or
+// JSON file (sent with /import as its caption, as a reply to it, or right
+// after /import) and first shows a dry run: new questions, duplicates of
+// existing questions and invalid rows. Nothing is saved until it is confirmed.
+const IMPORT_CONFIG = {
+  previewTtlMs: 30 * 60 * 1000,
+  previewListLength: 10,
+  progressEvery: 20
+};
+
+// Parsed rows of the latest preview per user, until it is confirmed or cancelled
+const pendingImports = new Map();
 
-bot.command('ask', async (ctx) => {
-  if (!GROQ_CONFIG.enabled) {
-    return ctx.reply('Groq AI is not enabled. Please set GROQ_API_KEY in environment variables.');
+const listAllKnowledge = async () => {
+  const pageSize = 500;
+  const entries = [];
+  
+  for (;;) {
+    const page = await storage.listKnowledgeAfter({ afterId: entries[entries.length - 1]?.id ?? 0, limit: pageSize });
+    entries.push(...page);
+    if (page.length < pageSize) return entries;
+  }
+};
+
+const sendKnowledgeExport = async (ctx, format) => {
+  const formatter = KNOWLEDGE_EXPORT_FORMATS[format];
+  if (!formatter) {
+    return ctx.reply('Unknown format. Use `/export csv`, `/export json` or `/export md`.', { parse_mode: 'Markdown' });
   }
   
-  const fullCommand = ctx.message.text.trim();
-  let question = '';
+  const entries = await listAllKnowledge();
+  if (entries.length === 0) {
+    return ctx.reply('The knowledge base is empty, there is nothing to export.');
+  }
   
-  if (fullCommand.toLowerCase().startsWith('/ask ')) {
-    question = fullCommand.replace(/^\/ask\s*/i, '').trim();
-  } else {
-    question = ctx.message.text.replace(/^\/ask/i, '').trim();
+  console.log(`Exporting ${entries.length} knowledge entries as ${format} for user ${ctx.from?.id}`);
+  await ctx.replyWithDocument({
+    source: Buffer.from(formatter(entries), 'utf-8'),
+    filename: `knowledge-base-${new Date().toISOString().slice(0, 10)}.${format}`
+  }, { caption: `${entries.length} entries` });
+};
+
+const formatPreviewList = (items, describe) => {
+  const lines = items.slice(0, IMPORT_CONFIG.previewListLength).map(item => `• ${describe(item)}`);
+  if (items.length > IMPORT_CONFIG.previewListLength) {
+    lines.push(`• …and ${items.length - IMPORT_CONFIG.previewListLength} more`);
   }
+  return lines.join('\n');
+};
+
+const previewImport = async (ctx, document) => {
+  const userId = ctx.from.id;
+  const fileName = document.file_name || 'import';
   
-  if (!question) {
-    return ctx.reply('Usage: /ask [your question]\nExample: /ask What is machine learning?');
+  if (!(await hasRole(userId, 'editor'))) {
+    return ctx.reply('Sorry, importing into the knowledge base needs the editor role.');
   }
   
-  await ctx.reply('Thinking...');
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
+  }
+  
+  const format = resolveImportFormat(document.mime_type, fileName);
+  if (!format) {
+    return ctx.reply('Import needs a CSV or JSON file with question and answer columns.');
+  }
   
   try {
-    const aiResponse = await queryGroqAI(question);
-    if (aiResponse) {
-      await ctx.reply(`<b>AI Response:</b>\n\n${aiResponse}`, { parse_mode: 'HTML' });
-      
-      try {
-        const voiceBuffer = await textToVoice(aiResponse.replace(/\*\*/g, '').replace(/`/g, ''));
-        await ctx.replyWithVoice({ source: voiceBuffer });
-      } catch (err) {
-        console.error('Voice generation failed:', err.message);
+    const file = await ctx.telegram.getFile(document.file_id);
+    const fileUrl = `https://api.telegram.org/file/bot${process.env.BOT_TOKEN}/${file.file_path}`;
+    
+    const response = await axios.get(fileUrl, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxContentLength: SAFETY_CONFIG.MAX_FILE_SIZE_MB * 1024 * 1024
+    });
+    
+    const { rows, errors } = parseKnowledgeFile(Buffer.from(response.data), format);
+    
+    // The same case-insensitive question match /add uses to update instead of insert
+    for (const row of rows) {
+      const existing = await storage.findByQuestion(row.question);
+      if (existing) {
+        row.existingId = existing.id;
+        row.unchanged = (existing.answer || existing.content) === row.answer &&
+          (row.tags.length === 0 || sameTags(existing.tags, row.tags));
       }
-    } else {
-      await ctx.reply('Sorry, I could not get a response from the AI service.');
     }
+    
+    const added = rows.filter(row => !row.existingId);
+    const changed = rows.filter(row => row.existingId && !row.unchanged);
+    const unchanged = rows.filter(row => row.unchanged);
+    
+    console.log(`Import preview of ${fileName}: ${added.length} new, ${changed.length} changed, ${unchanged.length} unchanged, ${errors.length} invalid`);
+    
+    let preview = `<b>Import preview for ${escapeHtml(fileName)}</b>\n` +
+      `This is a dry run, nothing has been saved yet.\n\n` +
+      `• New questions: ${added.length}\n` +
+      `• Existing questions with a new answer or tags: ${changed.length}\n` +
+      `• Existing questions with the same answer and tags: ${unchanged.length}\n` +
+      `• Invalid rows: ${errors.length}`;
+    
+    if (changed.length > 0) {
+      preview += `\n\n<b>Duplicates of existing questions:</b>\n` +
+        formatPreviewList(changed, row => `Row ${row.row}: "${escapeHtml(shorten(row.question, 80))}" is already #${row.existingId}`);
+    }
+    
+    if (errors.length > 0) {
+      preview += `\n\n<b>Invalid rows (skipped):</b>\n` +
+        formatPreviewList(errors, error => `Row ${error.row}: ${escapeHtml(error.reason)}`);
+    }
+    
+    const buttons = [];
+    if (added.length > 0) {
+      buttons.push([{ text: `➕ Add ${added.length} new`, callback_data: 'kbi_new' }]);
+    }
+    if (changed.length > 0) {
+      buttons.push([{ text: `♻️ Add new and update ${changed.length} existing`, callback_data: 'kbi_all' }]);
+    }
+    
+    if (buttons.length === 0) {
+      pendingImports.delete(userId);
+      return ctx.reply(`${preview}\n\nNothing to import.`, { parse_mode: 'HTML' });
+    }
+    
+    pendingImports.set(userId, { fileName, rows, createdAt: Date.now() });
+    buttons.push([{ text: 'Cancel', callback_data: 'kbi_cancel' }]);
+    
+    await ctx.reply(preview, { parse_mode: 'HTML', reply_markup: { inline_keyboard: buttons } });
+  } catch (err) {
+    console.error('Import preview error:', err.message);
+    await ctx.reply(`Could not import ${fileName}: ${err.message}`);
+  }
+};
+
+// mode: 'new' adds only new questions, 'all' also updates changed answers
+const runImport = async (ctx, mode) => {
+  const userId = ctx.from.id;
+  const pending = pendingImports.get(userId);
+  pendingImports.delete(userId);
+  
+  if (mode === 'cancel') {
+    return ctx.reply('Import cancelled. Nothing was saved.');
+  }
+  
+  if (!(await hasRole(userId, 'editor'))) {
+    return ctx.reply('Sorry, importing into the knowledge base needs the editor role.');
+  }
+  
+  if (!pending || Date.now() - pending.createdAt > IMPORT_CONFIG.previewTtlMs) {
+    return ctx.reply('This import preview has expired. Please send the file again.');
+  }
+  
+  const selected = pending.rows.filter(row => !row.unchanged && (mode === 'all' || !row.existingId));
+  const status = await ctx.reply(`Importing ${selected.length} entries from ${pending.fileName}...`);
+  const counts = { insert: 0, update: 0, failed: 0 };
+  
+  for (const [index, row] of selected.entries()) {
+    try {
+      const { action } = await saveKnowledge(row.question, row.answer, userId, { tags: row.tags });
+      counts[action]++;
+    } catch (err) {
+      console.error(`Import of row ${row.row} failed:`, err.message || err);
+      counts.failed++;
+    }
+    
+    const done = index + 1;
+    if (done % IMPORT_CONFIG.progressEvery === 0 && done < selected.length) {
+      await ctx.telegram
+        .editMessageText(ctx.chat.id, status.message_id, undefined, `Importing ${selected.length} entries from ${pending.fileName}... ${done}/${selected.length}`)
+        .catch(err => console.error('Progress update failed:', err.message));
+    }
+  }
+  
+  console.log(`Imported ${pending.fileName} for user ${userId}: ${counts.insert} added, ${counts.update} updated, ${counts.failed} failed`);
+  
+  await ctx.reply(
+    `✅ Import of ${pending.fileName} finished\n\n` +
+    `• Added: ${counts.insert}\n` +
+    `• Updated: ${counts.update}\n` +
+    `• Skipped: ${pending.rows.length - selected.length}\n` +
+    `• Failed: ${counts.failed}`
+  );
+};
+
+bot.command('export', requireRole('editor'), async (ctx) => {
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
+  }
+  
+  const format = ctx.message.text.replace(/^\/export\s*/i, '').trim().toLowerCase();
+  
+  if (!format) {
+    return ctx.reply('Export the knowledge base as:', {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '📊 CSV', callback_data: 'kbx_csv' },
+          { text: '🧾 JSON', callback_data: 'kbx_json' },
+          { text: '📝 Markdown', callback_data: 'kbx_md' }
+        ]]
+      }
+    });
+  }
+  
+  try {
+    await sendKnowledgeExport(ctx, format);
+  } catch (err) {
+    console.error('Export error:', err);
+    await ctx.reply('Error exporting the knowledge base.');
+  }
+});
+
+bot.command('import', requireRole('editor'), async (ctx) => {
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
+  }
+  
+  if (ctx.message.text.replace(/^\/import\s*/i, '').trim().toLowerCase() === 'cancel') {
+    delete ctx.session.awaitingImport;
+    pendingImports.delete(ctx.from.id);
+    return ctx.reply('Import cancelled.');
+  }
+  
+  const replied = ctx.message.reply_to_message?.document;
+  if (replied) {
+    return previewImport(ctx, replied);
+  }
+  
+  ctx.session.awaitingImport = true;
+  return ctx.reply(
+    `Send the CSV or JSON file to import (up to ${IMPORT_LIMITS.maxRows} rows).\n\n` +
+    `**CSV:** a header row with \`question\` and \`answer\` columns, and optionally \`tags\`\n` +
+    `**JSON:** \`[{"question": "...", "answer": "...", "tags": ["..."]}]\`\n\n` +
+    `You'll see a preview before anything is saved. Use \`/import cancel\` to stop.`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// ==================== KNOWLEDGE MANAGEMENT ====================
+// /list browses every entry a page at a time, /edit changes an entry's
+// question or answer, /delete removes one after confirmation and /undo
+// reverts the user's own last change from /add, /edit, /delete or "Save to
+// KB". Only that one change is kept, in the session, as before and after
+// snapshots of the entry. Imports are not undone this way.
+const LIST_CONFIG = {
+  pageSize: 10,
+  questionLength: 70
+};
+
+// action: 'insert', 'update', 'rename', 'delete' or 'rollback'; before/after are plain entries or null
+const rememberChange = (session, action, before, after) => {
+  session.lastKnowledgeChange = { action, before, after, at: Date.now() };
+};
+
+// Writes a new question and/or answer and re-embeds the entry. revisionAction
+// names the revision; by default it is 'rename', 'update' or 'edit' (both).
+const updateKnowledgeEntry = async (entry, { question, answer }, userId, revisionAction = null) => {
+  const before = plainEntry(entry);
+  
+  let embeddings;
+  try {
+    embeddings = await embedKnowledgeEntry(question, answer);
+  } catch (err) {
+    console.error('Could not embed knowledge entry, it will be picked up by the backfill:', err.message || err);
+    embeddings = { question_embedding: null, answer_embedding: null };
+  }
+  
+  await storage.updateKnowledge(entry.id, {
+    question,
+    answer,
+    content: answer,
+    ...embeddings,
+    updated_at: new Date().toISOString()
+  });
+  
+  const after = { id: entry.id, question, answer };
+  if (question !== before.question) {
+    await recordAudit(userId, 'rename', after, null, null, before.question);
+  }
+  if (answer !== before.answer) {
+    await recordAudit(userId, 'update', after, before.answer, answer);
+  }
+  
+  const changed = [question !== before.question && 'rename', answer !== before.answer && 'update'].filter(Boolean);
+  await recordRevision(userId, revisionAction || (changed.length > 1 ? 'edit' : changed[0] || 'update'), after, before);
+  
+  return { before, after };
+};
+
+// The deleted entry keeps its tags, so /undo can restore them too
+const deleteKnowledgeEntry = async (entry, userId) => {
+  const before = { ...plainEntry(entry), tags: entry.tags || [] };
+  await storage.deleteKnowledge(entry.id);
+  await recordAudit(userId, 'delete', before, before.answer, null);
+  await recordRevision(userId, 'delete', before);
+  return before;
+};
+
+// field: 'question' or 'answer'. Questions stay unique, as /add relies on that.
+const editKnowledge = async (id, field, value, userId) => {
+  const entry = await storage.getKnowledge(id);
+  if (!entry) {
+    throw new Error(`Entry #${id} is not in the knowledge base.`);
+  }
+  
+  const text = value.trim();
+  if (text.length < 2) {
+    throw new Error(`The new ${field} is too short.`);
+  }
+  
+  if (field === 'question') {
+    const clash = await storage.findByQuestion(text);
+    if (clash && String(clash.id) !== String(entry.id)) {
+      throw new Error(`Entry #${clash.id} already has that question.`);
+    }
+  }
+  
+  return updateKnowledgeEntry(entry, { ...plainEntry(entry), [field]: text }, userId);
+};
+
+const undoLastChange = async (session, userId) => {
+  const { action, before, after } = session.lastKnowledgeChange;
+  delete session.lastKnowledgeChange;
+  
+  // A deleted entry comes back under its own ID, unless that ID or its
+  // question has been taken since
+  if (action === 'delete') {
+    if (await storage.getKnowledge(before.id)) {
+      throw new Error(`Entry #${before.id} is back already, so your delete was not undone.`);
+    }
+    
+    const clash = await storage.findByQuestion(before.question);
+    if (clash) {
+      throw new Error(`Entry #${clash.id} now has that question, so your delete was not undone.`);
+    }
+    
+    const { entry } = await saveKnowledge(before.question, before.answer, userId, { tags: before.tags, id: before.id, revisionAction: 'undo' });
+    return `Restored "${before.question}" as #${entry.id}.`;
+  }
+  
+  // Changes made by someone else since then are not overwritten
+  const current = await storage.getKnowledge(after.id);
+  if (!current || current.question !== after.question || plainEntry(current).answer !== after.answer) {
+    throw new Error(`Entry #${after.id} has changed since, so your change was not undone.`);
+  }
+  
+  if (action === 'insert') {
+    await deleteKnowledgeEntry(current, userId);
+    return `Removed #${after.id} "${after.question}" again.`;
+  }
+  
+  await updateKnowledgeEntry(current, before, userId, 'undo');
+  const restored = action === 'rename' ? 'question' : action === 'update' ? 'answer' : 'version';
+  return `Restored the previous ${restored} of #${after.id}.`;
+};
+
+const entryActionsKeyboard = (id) => ({
+  inline_keyboard: [[
+    { text: '✏️ Question', callback_data: `kbe_question_${id}` },
+    { text: '✏️ Answer', callback_data: `kbe_answer_${id}` },
+    { text: '🗑 Delete', callback_data: `kbd_ask_${id}` }
+  ]]
+});
+
+const formatEntry = (entry) => `<b>#${entry.id}</b>\n\n<b>Q:</b> ${escapeHtml(entry.question)}\n\n` +
+  `<b>A:</b> ${escapeHtml(shorten(plainEntry(entry).answer, 500))}` +
+  (entry.tags?.length > 0 ? `\n\n<b>Tags:</b> ${escapeHtml(formatTags(entry.tags))}` : '');
+
+// Buttons that open each entry, five to a row
+const entryButtons = (entries) => {
+  const rows = [];
+  for (let i = 0; i < entries.length; i += 5) {
+    rows.push(entries.slice(i, i + 5).map(entry => ({ text: `#${entry.id}`, callback_data: `src_kb_${entry.id}` })));
+  }
+  return rows;
+};
+
+// category: a name or null (uncategorized) to browse one /faq category,
+// undefined for the whole /list
+const renderKnowledgePage = async (page, category = undefined) => {
+  const browsing = category !== undefined;
+  const total = await storage.countKnowledge(browsing ? { category } : {});
+  const pages = Math.max(1, Math.ceil(total / LIST_CONFIG.pageSize));
+  const current = Math.min(Math.max(page, 1), pages);
+  const entries = await storage.listKnowledgePage({ offset: (current - 1) * LIST_CONFIG.pageSize, limit: LIST_CONFIG.pageSize, category });
+  
+  if (entries.length === 0) {
+    return browsing
+      ? { text: 'This category is empty now.', replyMarkup: { inline_keyboard: [[{ text: '⬅️ Categories', callback_data: 'faq_menu' }]] } }
+      : { text: 'The knowledge base is empty. Add entries with /add or /import.' };
+  }
+  
+  const title = browsing ? escapeHtml(categoryLabel(category)) : 'Knowledge base';
+  const text = `<b>${title}</b> - page ${current} of ${pages} (${total} entries)\n\n` +
+    entries.map(entry => `<b>#${entry.id}</b> ${escapeHtml(shorten(entry.question, LIST_CONFIG.questionLength))}`).join('\n') +
+    '\n\nTap a number to open that entry.';
+  
+  const rows = entryButtons(entries);
+  
+  const pageData = (number) => browsing ? faqPageData(number, category) : `kbl_${number}`;
+  const navigation = [];
+  if (current > 1) {
+    navigation.push({ text: '◀️ Previous', callback_data: pageData(current - 1) });
+  }
+  if (current < pages) {
+    navigation.push({ text: 'Next ▶️', callback_data: pageData(current + 1) });
+  }
+  if (navigation.length > 0) {
+    rows.push(navigation);
+  }
+  if (browsing) {
+    rows.push([{ text: '⬅️ Categories', callback_data: 'faq_menu' }]);
+  }
+  
+  return { text, replyMarkup: { inline_keyboard: rows } };
+};
+
+const applyEdit = async (ctx, id, field, value) => {
+  if (!(await hasRole(ctx.from.id, 'editor'))) {
+    return ctx.reply('Sorry, changing the knowledge base needs the editor role.');
+  }
+  
+  try {
+    const { before, after } = await editKnowledge(id, field, value, ctx.from.id);
+    rememberChange(ctx.session, field === 'question' ? 'rename' : 'update', before, after);
+    await ctx.reply(`✏️ Updated ${formatEntry(after)}\n\nUse /undo to revert.`, { parse_mode: 'HTML' });
+  } catch (err) {
+    console.error('Edit error:', err.message || err);
+    await ctx.reply(`Could not edit #${id}: ${err.message}`);
+  }
+};
+
+// kbe_<field>_<id> asks for a new value, kbd_ask_<id> / kbd_yes_<id> / kbd_no delete
+const handleEntryAction = async (ctx, callbackData) => {
+  const [kind, action, id] = callbackData.split('_');
+  
+  if (kind === 'kbd' && action === 'no') {
+    return ctx.reply('Nothing was deleted.');
+  }
+  
+  if (!(await hasRole(ctx.from.id, 'editor'))) {
+    return ctx.reply('Sorry, changing the knowledge base needs the editor role.');
+  }
+  
+  const entry = storageAvailable ? await storage.getKnowledge(id) : null;
+  if (!entry) {
+    return ctx.reply(`Entry #${id} is not in the knowledge base.`);
+  }
+  
+  if (kind === 'kbe') {
+    ctx.session.editingEntry = { id: entry.id, field: action };
+    return ctx.reply(
+      `Send the new ${action} for #${entry.id}, or /edit to cancel.\n\nCurrent ${action}:\n${shorten(plainEntry(entry)[action], 1000)}`
+    );
+  }
+  
+  if (action === 'ask') {
+    return ctx.reply(`Delete this entry?\n\n${formatEntry(entry)}`, {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '🗑 Yes, delete', callback_data: `kbd_yes_${entry.id}` },
+          { text: 'Cancel', callback_data: 'kbd_no' }
+        ]]
+      }
+    });
+  }
+  
+  try {
+    const before = await deleteKnowledgeEntry(entry, ctx.from.id);
+    rememberChange(ctx.session, 'delete', before, null);
+    await ctx.reply(`🗑 Deleted #${before.id} "${before.question}". Use /undo to restore it.`);
+  } catch (err) {
+    console.error('Delete error:', err.message || err);
+    await ctx.reply(`Could not delete #${entry.id}. Please try again.`);
+  }
+};
+
+bot.command('list', async (ctx) => {
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
+  }
+  
+  const page = parseInt(ctx.message.text.replace(/^\/list\s*/i, ''), 10) || 1;
+  
+  try {
+    const { text, replyMarkup } = await renderKnowledgePage(page);
+    await ctx.reply(text, { parse_mode: 'HTML', reply_markup: replyMarkup });
+  } catch (err) {
+    console.error('List error:', err);
+    await ctx.reply('Error loading the knowledge base.');
+  }
+});
+
+bot.command('edit', requireRole('editor'), async (ctx) => {
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
+  }
+  
+  delete ctx.session.editingEntry;
+  
+  const payload = ctx.message.text.replace(/^\/edit\s*/i, '').trim();
+  const match = payload.match(/^#?(\d+)(?:\s+(question|answer)\b\s*([\s\S]*))?$/i);
+  
+  if (!match) {
+    return ctx.reply(
+      `**Usage:**\n` +
+      `• \`/edit 12\` - Show entry 12 with edit buttons\n` +
+      `• \`/edit 12 question New question text\`\n` +
+      `• \`/edit 12 answer New answer text\`\n\n` +
+      `Find IDs with /list or /search.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+  
+  const [, id, field, value] = match;
+  
+  if (field && value.trim()) {
+    return applyEdit(ctx, id, field.toLowerCase(), value);
+  }
+  
+  try {
+    const entry = await storage.getKnowledge(id);
+    if (!entry) {
+      return ctx.reply(`Entry #${id} is not in the knowledge base.`);
+    }
+    
+    if (field) {
+      return handleEntryAction(ctx, `kbe_${field.toLowerCase()}_${entry.id}`);
+    }
+    
+    await ctx.reply(formatEntry(entry), { parse_mode: 'HTML', reply_markup: entryActionsKeyboard(entry.id) });
+  } catch (err) {
+    console.error('Edit error:', err);
+    await ctx.reply('Error loading the entry.');
+  }
+});
+
+bot.command('delete', requireRole('editor'), async (ctx) => {
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
+  }
+  
+  const id = ctx.message.text.replace(/^\/delete\s*#?/i, '').trim();
+  if (!/^\d+$/.test(id)) {
+    return ctx.reply('**Usage:** `/delete [id]`\nFind IDs with /list or /search.', { parse_mode: 'Markdown' });
+  }
+  
+  try {
+    await handleEntryAction(ctx, `kbd_ask_${id}`);
+  } catch (err) {
+    console.error('Delete error:', err);
+    await ctx.reply('Error loading the entry.');
+  }
+});
+
+bot.command('undo', requireRole('editor'), async (ctx) => {
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
+  }
+  
+  if (!ctx.session.lastKnowledgeChange) {
+    return ctx.reply('Nothing to undo. /undo reverts your last /add, /edit, /delete or "Save to KB".');
+  }
+  
+  try {
+    const result = await undoLastChange(ctx.session, ctx.from.id);
+    await ctx.reply(`↩️ ${result}`);
+  } catch (err) {
+    console.error('Undo error:', err.message || err);
+    await ctx.reply(`Could not undo: ${err.message}`);
+  }
+});
+
+// ==================== KNOWLEDGE HISTORY ====================
+// Admins can see the revisions of an entry with /history <id> and bring one
+// back with /rollback <id> <rev>. Rolling back is itself a new revision, so
+// it can be rolled back too. A deleted entry is re-created under its old ID
+// with the tags it had when it was deleted.
+const HISTORY_CONFIG = {
+  revisionsShown: 10,
+  diffLength: 250
+};
+
+const parseEntryArguments = (text, command) => text
+  .replace(new RegExp(`^/${command}(@\\S+)?\\s*`, 'i'), '')
+  .trim()
+  .split(/\s+/)
+  .map(value => value.replace(/^[#r]/i, ''))
+  .filter(Boolean);
+
+const formatRevision = (revision) => {
+  const when = new Date(revision.created_at).toLocaleString();
+  const author = revision.user_id ? `user ${revision.user_id}` : 'unknown author';
+  const change = revision.diff || `Q: ${revision.question}\nA: ${revision.answer}`;
+  
+  return `<b>r${revision.revision}</b> · ${escapeHtml(revision.action)} · ${escapeHtml(author)} · ${escapeHtml(when)}\n` +
+    escapeHtml(shorten(change, HISTORY_CONFIG.diffLength));
+};
+
+const rollbackKnowledge = async (id, revisionNumber, userId) => {
+  const revision = await storage.getRevision(id, revisionNumber);
+  if (!revision) {
+    throw new Error(`Entry #${id} has no revision r${revisionNumber}.`);
+  }
+  
+  const entry = await storage.getKnowledge(id);
+  
+  if (!entry) {
+    const clash = await storage.findByQuestion(revision.question);
+    if (clash) {
+      throw new Error(`Entry #${clash.id} now has the question of r${revision.revision}.`);
+    }
+    
+    const [deleted] = await storage.listRevisions(id, 1);
+    const { entry: restored, action } = await saveKnowledge(revision.question, revision.answer, userId, {
+      tags: deleted.tags || [],
+      id: revision.entry_id,
+      revisionAction: `rollback to r${revision.revision}`
+    });
+    return { revision, before: null, after: restored, action };
+  }
+  
+  const current = plainEntry(entry);
+  if (current.question === revision.question && current.answer === revision.answer) {
+    throw new Error(`Entry #${id} already matches r${revision.revision}.`);
+  }
+  
+  if (current.question !== revision.question) {
+    const clash = await storage.findByQuestion(revision.question);
+    if (clash && String(clash.id) !== String(entry.id)) {
+      throw new Error(`Entry #${clash.id} now has the question of r${revision.revision}.`);
+    }
+  }
+  
+  const { before, after } = await updateKnowledgeEntry(entry, revision, userId, `rollback to r${revision.revision}`);
+  return { revision, before, after, action: 'rollback' };
+};
+
+bot.command('history', requireRole('admin'), async (ctx) => {
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
+  }
+  
+  const [id] = parseEntryArguments(ctx.message.text, 'history');
+  if (!/^\d+$/.test(id || '')) {
+    return ctx.reply('**Usage:** `/history [id]`\nFind IDs with /list or /search.', { parse_mode: 'Markdown' });
+  }
+  
+  try {
+    const revisions = await storage.listRevisions(id, HISTORY_CONFIG.revisionsShown);
+    
+    if (revisions.length === 0) {
+      return ctx.reply(`No revisions recorded for #${id}. Revisions are kept from an entry's first change on.`);
+    }
+    
+    const entry = await storage.getKnowledge(id);
+    const title = entry ? `"${escapeHtml(shorten(entry.question, 80))}"` : '(deleted)';
+    
+    await ctx.reply(
+      `<b>History of #${id}</b> ${title}, newest first\n\n` +
+      revisions.map(formatRevision).join('\n\n') +
+      `\n\nRestore one with /rollback ${id} &lt;rev&gt;`,
+      { parse_mode: 'HTML' }
+    );
+  } catch (err) {
+    console.error('History error:', err);
+    await ctx.reply('Error loading the history.');
+  }
+});
+
+bot.command('rollback', requireRole('admin'), async (ctx) => {
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
+  }
+  
+  const [id, revisionNumber] = parseEntryArguments(ctx.message.text, 'rollback');
+  if (!/^\d+$/.test(id || '') || !/^\d+$/.test(revisionNumber || '')) {
+    return ctx.reply('**Usage:** `/rollback [id] [rev]`\nSee the revisions with `/history [id]`.', { parse_mode: 'Markdown' });
+  }
+  
+  try {
+    const { revision, before, after, action } = await rollbackKnowledge(id, revisionNumber, ctx.from.id);
+    rememberChange(ctx.session, action, before, after);
+    
+    await ctx.reply(
+      `⏪ Rolled #${id} back to r${revision.revision}\n\n` +
+      `<b>Q:</b> ${escapeHtml(after.question)}\n<b>A:</b> ${escapeHtml(shorten(after.answer, 500))}\n\n` +
+      `Use /undo to revert.`,
+      { parse_mode: 'HTML' }
+    );
+  } catch (err) {
+    console.error('Rollback error:', err.message || err);
+    await ctx.reply(`Could not roll back: ${err.message}`);
+  }
+});
+
+// ==================== CATEGORIES & TAGS ====================
+// Entries are tagged with hashtags at the end of /add or with /tag, and their
+// first tag is their category. /faq shows a menu of the categories and pages
+// through one of them in the same message; /search #tag only searches entries
+// with that tag. After an /add without hashtags the LLM suggests a category
+// and tags, which are saved only when the editor accepts them.
+const TAG_CONFIG = {
+  suggest: process.env.TAG_SUGGESTIONS !== 'false',
+  // Existing categories offered to the LLM, so it reuses them
+  knownCategories: 30,
+  menuColumns: 2,
+  taggedListLength: 30
+};
+
+const categoryLabel = (category) => category ? `#${category}` : 'Uncategorized';
+
+// faq_<page>_<category>, with an empty category for the uncategorized entries
+const faqPageData = (page, category) => `faq_${page}_${category || ''}`;
+
+const tagKnowledgeEntry = async (entry, tags, userId) => {
+  const fields = tagFields(tags);
+  await storage.updateKnowledge(entry.id, { ...fields, updated_at: new Date().toISOString() });
+  await recordAudit(userId, 'tag', entry, formatTags(entry.tags), formatTags(fields.tags));
+  return fields.tags;
+};
+
+// -> tags with the category first, or null when the reply has none
+const suggestTags = async (entry, model) => {
+  const categories = (await storage.listCategories())
+    .filter(item => item.category)
+    .slice(0, TAG_CONFIG.knownCategories)
+    .map(item => item.category);
+  
+  const reply = await queryAI(
+    `Choose a category and up to 3 tags for this knowledge base entry, as short lowercase words. ` +
+    (categories.length > 0 ? `Prefer one of the existing categories: ${categories.join(', ')}. ` : '') +
+    `Reply with only JSON like {"category": "billing", "tags": ["refunds"]}.\n\n` +
+    `Q: ${entry.question}\nA: ${shorten(entry.answer, 1000)}`,
+    null,
+    { model }
+  );
+  
+  return parseTagSuggestion(reply);
+};
+
+const offerTagSuggestion = async (ctx, entry) => {
+  if (!TAG_CONFIG.suggest || !llm.enabled) return;
+  
+  try {
+    const tags = await suggestTags(entry, await resolveModel(ctx.session));
+    if (!tags) return;
+    
+    ctx.session.tagSuggestion = { id: entry.id, tags };
+    await ctx.reply(`🏷 Suggested tags for #${entry.id}: ${formatTags(tags)}\nThe first one is its category.`, {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Apply', callback_data: `kbt_apply_${entry.id}` },
+          { text: 'Skip', callback_data: 'kbt_skip' }
+        ]]
+      }
+    });
+  } catch (err) {
+    console.error('Tag suggestion failed:', err.message || err);
+  }
+};
+
+const applyTagSuggestion = async (ctx, callbackData) => {
+  const suggestion = ctx.session.tagSuggestion;
+  delete ctx.session.tagSuggestion;
+  
+  if (callbackData === 'kbt_skip') {
+    return ctx.reply('No tags were added. Use /tag to set them later.');
+  }
+  
+  if (!(await hasRole(ctx.from.id, 'editor'))) {
+    return ctx.reply('Sorry, changing the knowledge base needs the editor role.');
+  }
+  
+  const id = callbackData.replace(/^kbt_apply_/, '');
+  if (!suggestion || String(suggestion.id) !== id) {
+    return ctx.reply('This suggestion has expired. Use /tag to set tags.');
+  }
+  
+  const entry = storageAvailable ? await storage.getKnowledge(id) : null;
+  if (!entry) {
+    return ctx.reply(`Entry #${id} is not in the knowledge base.`);
+  }
+  
+  const tags = await tagKnowledgeEntry(entry, suggestion.tags, ctx.from.id);
+  await ctx.reply(`🏷 Tagged #${entry.id} ${formatTags(tags)}`);
+};
+
+// -> { text, replyMarkup }, or null when the knowledge base is empty
+const renderFaqMenu = async () => {
+  const categories = await storage.listCategories();
+  if (categories.length === 0) return null;
+  
+  const total = categories.reduce((sum, item) => sum + item.count, 0);
+  let text = '<b>Frequently Asked Questions</b>\n\nPick a category:\n' +
+    categories.map(item => `• ${escapeHtml(categoryLabel(item.category))} (${item.count})`).join('\n') +
+    `\n\n<b>Total knowledge:</b> ${total} items\n` +
+    '<b>Browse all:</b> /list\n' +
+    '<b>Search:</b> <code>/search [topic]</code> or <code>/search #tag [topic]</code>\n' +
+    '<b>Add:</b> <code>/add question || answer #category</code>';
+  
+  if (llm.enabled) {
+    text += '\n<b>AI:</b> <code>/ask [question]</code> or <code>/voiceai on</code>';
+  }
+  
+  const buttons = categories.map(item => ({
+    text: `${categoryLabel(item.category)} (${item.count})`,
+    callback_data: faqPageData(1, item.category)
+  }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += TAG_CONFIG.menuColumns) {
+    rows.push(buttons.slice(i, i + TAG_CONFIG.menuColumns));
+  }
+  
+  return { text, replyMarkup: { inline_keyboard: rows } };
+};
+
+const listTaggedEntries = async (ctx, tags) => {
+  const entries = await storage.listKnowledge({ tags, orderBy: 'question', limit: TAG_CONFIG.taggedListLength });
+  
+  if (entries.length === 0) {
+    return ctx.reply(`No entries are tagged ${formatTags(tags)}.`);
+  }
+  
+  await ctx.reply(
+    `<b>Tagged ${escapeHtml(formatTags(tags))}</b>\n\n` +
+    entries.map(entry => `<b>#${entry.id}</b> ${escapeHtml(shorten(entry.question, LIST_CONFIG.questionLength))}`).join('\n') +
+    '\n\nTap a number to open that entry.',
+    { parse_mode: 'HTML', reply_markup: { inline_keyboard: entryButtons(entries) } }
+  );
+};
+
+bot.command('tag', requireRole('editor'), async (ctx) => {
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
+  }
+  
+  const match = ctx.message.text.replace(/^\/tag(@\S+)?\s*/i, '').trim().match(/^#?(\d+)(?:\s+([\s\S]*))?$/);
+  if (!match) {
+    return ctx.reply(
+      `**Usage:**\n` +
+      `• \`/tag 12\` - Show the tags of entry 12\n` +
+      `• \`/tag 12 #billing #refunds\` - Set them, the first is the category\n` +
+      `• \`/tag 12 none\` - Remove them`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+  
+  const [, id, value = ''] = match;
+  
+  try {
+    const entry = await storage.getKnowledge(id);
+    if (!entry) {
+      return ctx.reply(`Entry #${id} is not in the knowledge base.`);
+    }
+    
+    if (!value.trim()) {
+      return ctx.reply(entry.tags?.length > 0
+        ? `#${entry.id} "${entry.question}" is tagged ${formatTags(entry.tags)}`
+        : `#${entry.id} "${entry.question}" has no tags yet.`);
+    }
+    
+    const tags = value.trim().toLowerCase() === 'none' ? [] : normalizeTags(value.split(/[\s,]+/));
+    if (tags.length === 0 && value.trim().toLowerCase() !== 'none') {
+      return ctx.reply('Give tags like #billing #refunds, or none to remove them.');
+    }
+    
+    const saved = await tagKnowledgeEntry(entry, tags, ctx.from.id);
+    await ctx.reply(saved.length > 0
+      ? `🏷 Tagged #${entry.id} ${formatTags(saved)}`
+      : `🏷 Removed the tags of #${entry.id}.`);
+  } catch (err) {
+    console.error('Tag error:', err);
+    await ctx.reply('Error changing the tags.');
+  }
+});
+
+// ==================== AI COMMANDS ====================
+
+bot.command('ask', async (ctx) => {
+  if (!llm.enabled) {
+    return ctx.reply('AI is not enabled. Please set GROQ_API_KEY or LLM_BASE_URL in environment variables.');
+  }
+  
+  const fullCommand = ctx.message.text.trim();
+  let question = '';
+  
+  if (fullCommand.toLowerCase().startsWith('/ask ')) {
+    question = fullCommand.replace(/^\/ask\s*/i, '').trim();
+  } else {
+    question = ctx.message.text.replace(/^\/ask/i, '').trim();
+  }
+  
+  if (!question) {
+    return ctx.reply('Usage: /ask [your question]\nExample: /ask What is machine learning?');
+  }
+  
+  const stream = createReplyStream(ctx, 'AI Response', { placeholder: 'Thinking...' });
+  
+  try {
+    const aiResponse = await queryAI(question, null, { model: await resolveModel(ctx.session), onToken: stream.onToken });
+    if (await stream.finish(aiResponse)) {
+      
+      try {
+        const voiceBuffer = await textToVoice(aiResponse.replace(/\*\*/g, '').replace(/`/g, ''));
+        await ctx.replyWithVoice({ source: voiceBuffer });
+      } catch (err) {
+        console.error('Voice generation failed:', err.message);
+      }
+    } else {
+      await ctx.reply('Sorry, I could not get a response from the AI service.');
+    }
+  } catch (err) {
+    console.error('Ask command error:', err);
+    await ctx.reply('Error getting AI response. Please try again.');
+  }
+});
+
+// /groqstatus is kept as an alias for existing users
+bot.command(['aistatus', 'groqstatus'], async (ctx) => {
+  let response = '**AI Status:**\n\n';
+  
+  response += `• Enabled: ${llm.enabled ? 'Yes' : 'No'}\n`;
+  
+  if (llm.enabled) {
+    const { defaultModel, allowedModels } = await getModelSettings();
+    const currentModel = await resolveModel(ctx.session);
+    
+    response += `• Your Model: ${currentModel}\n`;
+    response += `• Default Model: ${defaultModel}\n`;
+    response += `• Allowed Models: ${allowedModels.join(', ')}\n`;
+    response += `\n**Providers (in fallback order):**\n`;
+    
+    for (const [index, provider] of llm.providers.entries()) {
+      response += `\n${index + 1}. ${provider.name} - ${provider.baseUrl}\n`;
+      response += `  • Models: ${provider.models.join(', ')}\n`;
+      
+      try {
+        const latency = await llm.ping(provider);
+        response += `  • Connection: Working (${latency}ms)\n`;
+      } catch (error) {
+        response += `  • Connection: Failed - ${error.message.substring(0, 50)}\n`;
+      }
+    }
+  } else {
+    response += `• For Groq, add GROQ_API_KEY to your .env file (https://console.groq.com)\n`;
+    response += `• For a self-hosted server, set LLM_BASE_URL and LLM_MODELS\n`;
+  }
+  
+  await ctx.reply(response, { parse_mode: 'Markdown' });
+});
+
+bot.command('setmodel', async (ctx) => {
+  if (!llm.enabled) {
+    return ctx.reply('AI is not enabled.');
+  }
+  
+  const modelName = ctx.message.text.replace(/^\/setmodel\s*/i, '').trim();
+  const { defaultModel, allowedModels } = await getModelSettings();
+  
+  if (!modelName) {
+    const currentModel = await resolveModel(ctx.session);
+    let response = '**Available AI Models:**\n\n';
+    
+    allowedModels.forEach(model => {
+      const isCurrent = model === currentModel;
+      response += `• ${isCurrent ? '✅ ' : ''}${model}${model === defaultModel ? ' (default)' : ''}\n`;
+    });
+    
+    response += '\n**Usage:** `/setmodel [model_name]`\n';
+    response += '**Example:** `/setmodel llama-3.1-8b-instant`\n';
+    response += '**Reset:** `/setmodel default`';
+    
+    return ctx.reply(response, { parse_mode: 'Markdown' });
+  }
+  
+  if (modelName.toLowerCase() === 'default') {
+    delete ctx.session.aiModel;
+    return ctx.reply(`Using the default model: **${defaultModel}**`, { parse_mode: 'Markdown' });
+  }
+  
+  if (!allowedModels.includes(modelName)) {
+    return ctx.reply(`Model "${modelName}" is not available. Use /setmodel to see available models.`);
+  }
+  
+  ctx.session.aiModel = modelName;
+  
+  ctx.reply(`Your model is set to: **${modelName}**\nOther users are not affected.`, { parse_mode: 'Markdown' });
+});
+
+bot.command('defaultmodel', requireRole('admin'), async (ctx) => {
+  if (!llm.enabled) {
+    return ctx.reply('AI is not enabled.');
+  }
+  
+  const modelName = ctx.message.text.replace(/^\/defaultmodel\s*/i, '').trim();
+  const { defaultModel, allowedModels } = await getModelSettings();
+  
+  if (!modelName) {
+    return ctx.reply(
+      `Default model: **${defaultModel}**\n\n` +
+      '**Usage:** `/defaultmodel [model_name]`',
+      { parse_mode: 'Markdown' }
+    );
+  }
+  
+  if (!allowedModels.includes(modelName)) {
+    return ctx.reply(`Model "${modelName}" is not allowed. Use /allowmodels to change the allowed list.`);
+  }
+  
+  try {
+    await saveModelSettings({ defaultModel: modelName });
+    await ctx.reply(`Default model for everyone set to: **${modelName}**`, { parse_mode: 'Markdown' });
+  } catch (err) {
+    console.error('Default model error:', err);
+    await ctx.reply('Error saving the default model. Please try again.');
+  }
+});
+
+bot.command('allowmodels', requireRole('admin'), async (ctx) => {
+  if (!llm.enabled) {
+    return ctx.reply('AI is not enabled.');
+  }
+  
+  const args = ctx.message.text.replace(/^\/allowmodels\s*/i, '').trim().split(/[\s,]+/).filter(Boolean);
+  
+  if (args.length === 0) {
+    const { allowedModels } = await getModelSettings();
+    let response = '**Model allow-list:**\n\n';
+    
+    llm.availableModels.forEach(model => {
+      response += `• ${allowedModels.includes(model) ? '✅' : '🚫'} ${model}\n`;
+    });
+    
+    response += '\n**Usage:** `/allowmodels [model] [model] ...` or `/allowmodels all`';
+    return ctx.reply(response, { parse_mode: 'Markdown' });
+  }
+  
+  const allowedModels = args.length === 1 && args[0].toLowerCase() === 'all'
+    ? llm.availableModels
+    : args;
+  
+  const unknown = allowedModels.filter(model => !llm.availableModels.includes(model));
+  if (unknown.length > 0) {
+    return ctx.reply(`Unknown model${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+  }
+  
+  try {
+    const { defaultModel } = await saveModelSettings({ allowedModels });
+    await ctx.reply(`Allowed models: ${allowedModels.join(', ')}\nDefault model: ${defaultModel}`);
+  } catch (err) {
+    console.error('Allow models error:', err);
+    await ctx.reply('Error saving the allowed models. Please try again.');
+  }
+});
+
+// ==================== ROLE COMMANDS ====================
+
+bot.command('whoami', async (ctx) => {
+  const role = await getUserRole(ctx.from.id);
+  await ctx.reply(`Your Telegram ID: ${ctx.from.id}\nYour role: ${role}`);
+});
+
+bot.command('grant', requireRole('admin'), async (ctx) => {
+  const args = ctx.message.text.replace(/^\/grant\s*/i, '').trim().split(/\s+/).filter(Boolean);
+  const repliedUserId = ctx.message.reply_to_message?.from?.id;
+  
+  const targetId = repliedUserId && args.length === 1 ? String(repliedUserId) : args[0];
+  const role = (repliedUserId && args.length === 1 ? args[0] : args[1] || '').toLowerCase();
+  
+  if (!targetId || !/^\d+$/.test(targetId) || !['admin', 'editor'].includes(role)) {
+    return ctx.reply(
+      '**Usage:** `/grant [user_id] [admin|editor]`\n' +
+      'Or reply to a user\'s message with `/grant [admin|editor]`\n\n' +
+      'Users can find their ID with /whoami',
+      { parse_mode: 'Markdown' }
+    );
+  }
+  
+  if (!storageAvailable) {
+    return ctx.reply('Storage unavailable. Roles can only be configured with ADMIN_USER_IDS and EDITOR_USER_IDS.');
+  }
+  
+  try {
+    await storage.setRole(targetId, role, ctx.from.id);
+    console.log(`User ${ctx.from.id} granted ${role} to ${targetId}`);
+    await ctx.reply(`✅ User ${targetId} is now ${role === 'admin' ? 'an admin' : 'an editor'}.`);
+  } catch (err) {
+    console.error('Grant error:', err);
+    await ctx.reply('Error saving role. Please try again.');
+  }
+});
+
+bot.command('revoke', requireRole('admin'), async (ctx) => {
+  const arg = ctx.message.text.replace(/^\/revoke\s*/i, '').trim();
+  const targetId = arg || (ctx.message.reply_to_message?.from?.id ? String(ctx.message.reply_to_message.from.id) : '');
+  
+  if (!/^\d+$/.test(targetId)) {
+    return ctx.reply('**Usage:** `/revoke [user_id]` or reply to a user\'s message with `/revoke`', { parse_mode: 'Markdown' });
+  }
+  
+  if (ROLE_CONFIG.admins.includes(targetId) || ROLE_CONFIG.editors.includes(targetId)) {
+    return ctx.reply(`User ${targetId} gets their role from ADMIN_USER_IDS/EDITOR_USER_IDS. Remove them there instead.`);
+  }
+  
+  if (!storageAvailable) {
+    return ctx.reply('Storage unavailable.');
+  }
+  
+  try {
+    const existing = await storage.getRole(targetId);
+    if (!existing) {
+      return ctx.reply(`User ${targetId} has no granted role.`);
+    }
+    
+    await storage.deleteRole(targetId);
+    console.log(`User ${ctx.from.id} revoked ${existing.role} from ${targetId}`);
+    await ctx.reply(`✅ Removed the ${existing.role} role from user ${targetId}.`);
   } catch (err) {
-    console.error('Ask command error:', err);
-    await ctx.reply('Error getting AI response. Please try again.');
+    console.error('Revoke error:', err);
+    await ctx.reply('Error removing role. Please try again.');
   }
 });
 
-bot.command('groqstatus', async (ctx) => {
-  let response = '**Groq AI Status:**\n\n';
+bot.command('roles', requireRole('admin'), async (ctx) => {
+  let response = '**Roles**\n\n';
   
-  response += `• Enabled: ${GROQ_CONFIG.enabled ? 'Yes' : 'No'}\n`;
+  ROLE_CONFIG.admins.forEach(id => { response += `• ${id} - admin (config)\n`; });
+  ROLE_CONFIG.editors.forEach(id => { response += `• ${id} - editor (config)\n`; });
   
-  if (GROQ_CONFIG.enabled) {
-    response += `• Current Model: ${GROQ_CONFIG.defaultModel}\n`;
-    response += `• Available Models:\n`;
-    
-    GROQ_CONFIG.availableModels.forEach(model => {
-      const isDefault = model === GROQ_CONFIG.defaultModel;
-      response += `  • ${isDefault ? '✅ ' : ''}${model}\n`;
-    });
-    
+  if (storageAvailable) {
     try {
-      const testResponse = await axios.post(
-        GROQ_CONFIG.endpoint,
-        {
-          model: GROQ_CONFIG.defaultModel,
-          messages: [{ role: 'user', content: 'Say "OK" if working.' }],
-          max_tokens: 10
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${GROQ_CONFIG.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 10000
-        }
-      );
-      
-      if (testResponse.data) {
-        response += `\n• Connection: Working\n`;
-      }
-    } catch (error) {
-      response += `\n• Connection: Failed - ${error.message.substring(0, 50)}\n`;
+      const granted = await storage.listRoles();
+      granted.forEach(row => {
+        response += `• ${row.user_id} - ${row.role} (granted by ${row.granted_by || 'unknown'})\n`;
+      });
+    } catch (err) {
+      console.error('Roles list error:', err);
+      response += '\nCould not load granted roles.';
     }
-  } else {
-    response += `• To enable, add GROQ_API_KEY to your .env file\n`;
-    response += `• Get API key from: https://console.groq.com\n`;
   }
   
   await ctx.reply(response, { parse_mode: 'Markdown' });
 });
 
-bot.command('setmodel', async (ctx) => {
-  if (!GROQ_CONFIG.enabled) {
-    return ctx.reply('Groq AI is not enabled.');
+bot.command('audit', requireRole('admin'), async (ctx) => {
+  if (!storageAvailable) {
+    return ctx.reply('Knowledge base unavailable.');
   }
   
-  const modelName = ctx.message.text.replace(/^\/setmodel\s*/i, '').trim();
-  
-  if (!modelName) {
-    let response = '**Available Groq Models:**\n\n';
+  try {
+    const entries = await storage.listAuditLog(10);
     
-    GROQ_CONFIG.availableModels.forEach(model => {
-      const isDefault = model === GROQ_CONFIG.defaultModel;
-      response += `• ${isDefault ? '✅ ' : ''}${model}\n`;
-    });
+    if (entries.length === 0) {
+      return ctx.reply('No knowledge base changes recorded yet.');
+    }
     
-    response += '\n**Usage:** `/setmodel [model_name]`\n';
-    response += '**Example:** `/setmodel llama-3.1-8b-instant`';
+    const lines = entries.map(entry => {
+      const when = new Date(entry.created_at).toLocaleString();
+      const who = `${when} - user ${entry.user_id || 'unknown'}`;
+      
+      if (entry.action === 'rename') {
+        return `• ${who} renamed "${entry.old_question || '?'}" to "${entry.question}"`;
+      }
+      if (entry.action === 'delete') {
+        return `• ${who} deleted "${entry.question}"`;
+      }
+      if (entry.action === 'tag') {
+        return entry.new_answer
+          ? `• ${who} tagged "${entry.question}" ${entry.new_answer}`
+          : `• ${who} removed the tags of "${entry.question}"`;
+      }
+      
+      const answer = (entry.new_answer || '').substring(0, 60);
+      return `• ${who} ${entry.action === 'insert' ? 'added' : 'updated'} "${entry.question}"\n  → ${answer}${(entry.new_answer || '').length > 60 ? '...' : ''}`;
+    });
     
-    return ctx.reply(response, { parse_mode: 'Markdown' });
-  }
-  
-  if (!GROQ_CONFIG.availableModels.includes(modelName)) {
-    return ctx.reply(`Model "${modelName}" is not available. Use /setmodel to see available models.`);
+    await ctx.reply(`Recent knowledge base changes:\n\n${lines.join('\n')}`);
+  } catch (err) {
+    console.error('Audit log error:', err);
+    await ctx.reply('Error loading audit log.');
   }
-  
-  GROQ_CONFIG.defaultModel = modelName;
-  
-  ctx.reply(`Model set to: **${modelName}**`, { parse_mode: 'Markdown' });
 });
 
 // ==================== VOICE AI COMMANDS ====================
 
 bot.command('voiceai', async (ctx) => {
-  if (!GROQ_CONFIG.enabled) {
-    return ctx.reply('Groq AI is not enabled. Please set GROQ_API_KEY in environment variables.');
+  if (!llm.enabled) {
+    return ctx.reply('AI is not enabled. Please set GROQ_API_KEY or LLM_BASE_URL in environment variables.');
   }
   
   const fullCommand = ctx.message.text.trim();
@@ -1136,8 +3557,8 @@ bot.command('voiceai', async (ctx) => {
 });
 
 bot.command('voiceaion', async (ctx) => {
-  if (!GROQ_CONFIG.enabled) {
-    return ctx.reply('Groq AI is not enabled. Please set GROQ_API_KEY in environment variables.');
+  if (!llm.enabled) {
+    return ctx.reply('AI is not enabled. Please set GROQ_API_KEY or LLM_BASE_URL in environment variables.');
   }
   
   ctx.session.voiceAIMode = true;
@@ -1150,8 +3571,8 @@ bot.command('voiceaion', async (ctx) => {
 });
 
 bot.command('voiceaioff', async (ctx) => {
-  if (!GROQ_CONFIG.enabled) {
-    return ctx.reply('Groq AI is not enabled. Please set GROQ_API_KEY in environment variables.');
+  if (!llm.enabled) {
+    return ctx.reply('AI is not enabled. Please set GROQ_API_KEY or LLM_BASE_URL in environment variables.');
   }
   
   ctx.session.voiceAIMode = false;
@@ -1164,8 +3585,8 @@ bot.command('voiceaioff', async (ctx) => {
 });
 
 bot.command('mode', async (ctx) => {
-  if (!GROQ_CONFIG.enabled) {
-    return ctx.reply('Groq AI is not enabled. Please set GROQ_API_KEY in environment variables.');
+  if (!llm.enabled) {
+    return ctx.reply('AI is not enabled. Please set GROQ_API_KEY or LLM_BASE_URL in environment variables.');
   }
   
   const currentVoiceMode = ctx.session.voiceAIMode ? 'ON (AI mode)' : 'OFF (KB mode)';
@@ -1197,8 +3618,84 @@ bot.command('mode', async (ctx) => {
   );
 });
 
+bot.command('reset', async (ctx) => {
+  clearHistory(ctx.session);
+  
+  await ctx.reply('Conversation memory cleared. The next question starts a fresh conversation.');
+});
+
 // ==================== DOCUMENT UPLOAD HANDLER ====================
 
+// Indexes extracted text for retrieval, makes it the session's current
+// document and offers the document actions. Shared by uploads and photos.
+const openDocumentSession = async (ctx, fileName, { text, sections = [], originalLength, info = {} }) => {
+  const userId = ctx.from.id;
+  const documentId = `${userId}-${Date.now()}`;
+  const indexed = await indexDocument(documentId, fileName, text, sections);
+  
+  let statusMessage = `Successfully processed ${fileName}\n`;
+  statusMessage += `Extracted ${originalLength.toLocaleString()} characters`;
+  
+  if (info.ocr) {
+    statusMessage += ' with OCR';
+  }
+  
+  if (info.numPages) {
+    statusMessage += ` from ${info.numPages} page${info.numPages === 1 ? '' : 's'}`;
+  } else if (info.numChapters) {
+    statusMessage += ` from ${info.numChapters} chapter${info.numChapters === 1 ? '' : 's'}`;
+  } else if (info.numRows) {
+    statusMessage += ` from ${info.numRows} row${info.numRows === 1 ? '' : 's'}`;
+  }
+  
+  if (info.ocr?.pagesRead < info.numPages) {
+    statusMessage += `\nNote: Only the first ${info.ocr.pagesRead} pages were read`;
+  }
+  
+  if (info.ocr) {
+    statusMessage += `\nOCR confidence: ${info.ocr.confidence}%`;
+  }
+  
+  statusMessage += `\nIndexed into ${indexed.chunks.length} section${indexed.chunks.length === 1 ? '' : 's'} for questions`;
+  
+  if (indexed.wasTruncated) {
+    statusMessage += `\nNote: Only the first ${indexed.chunks.length} sections were indexed`;
+  }
+  
+  await ctx.reply(statusMessage);
+  
+  if (ctx.session.documentId && ctx.session.documentId !== documentId) {
+    documentIndex.delete(ctx.session.documentId);
+  }
+  
+  ctx.session.userId = userId;
+  ctx.session.documentId = documentId;
+  ctx.session.documentText = text.substring(0, DOCUMENT_CONFIG.maxSessionChars);
+  ctx.session.documentSections = sections.filter(section => section.start < DOCUMENT_CONFIG.maxSessionChars);
+  ctx.session.documentName = fileName;
+  ctx.session.documentTimestamp = Date.now();
+  
+  const inlineKeyboard = {
+    inline_keyboard: [
+      [
+        { text: 'Ask a question', callback_data: 'doc_ask' }
+      ],
+      [
+        { text: 'Summarize', callback_data: 'doc_summarize' },
+        { text: 'Save to KB', callback_data: 'doc_save' }
+      ],
+      [
+        { text: 'Extract key info', callback_data: 'doc_extract' }
+      ]
+    ]
+  };
+  
+  await ctx.reply(
+    `What would you like to do with "${fileName}"?`,
+    { reply_markup: inlineKeyboard }
+  );
+};
+
 bot.on('document', async (ctx) => {
   const document = ctx.message.document;
   const mimeType = document.mime_type;
@@ -1215,17 +3712,23 @@ bot.on('document', async (ctx) => {
     );
   }
   
-  const supportedTypes = {
-    'application/pdf': 'pdf',
-    'text/plain': 'txt'
-  };
+  // Files sent with /import as their caption, or right after /import, are imported
+  if (ctx.session.awaitingImport || /^\/import\b/i.test(ctx.message.caption || '')) {
+    delete ctx.session.awaitingImport;
+    return previewImport(ctx, document);
+  }
+  
+  // Audio sent as a file (e.g. forwarded MP3/M4A) is transcribed, not indexed
+  if (mimeType?.startsWith('audio/')) {
+    return handleSpokenMessage(ctx, document, 'audio');
+  }
   
-  const fileType = supportedTypes[mimeType];
+  const fileType = resolveDocumentType(mimeType, fileName);
   if (!fileType) {
-    return ctx.reply(`Unsupported file type: ${mimeType}. I support PDF and TXT files.`);
+    return ctx.reply(`Unsupported file type: ${mimeType}. ${SUPPORTED_DOCUMENTS_TEXT}`);
   }
   
-  await ctx.reply(`Processing ${fileName}...`);
+  const status = await ctx.reply(`Processing ${fileName}...`);
   
   try {
     const file = await ctx.telegram.getFile(document.file_id);
@@ -1243,59 +3746,25 @@ bot.on('document', async (ctx) => {
     
     console.log(`Downloaded ${fileBuffer.length} bytes, processing...`);
     
-    const { text, originalLength, info, wasTruncated } = await processDocument(fileBuffer, fileType, fileName);
-    
-    let statusMessage = `Successfully processed ${fileName}\n`;
-    statusMessage += `Extracted ${originalLength.toLocaleString()} characters`;
-    
-    if (info.numPages) {
-      statusMessage += ` from ${info.numPages} page${info.numPages === 1 ? '' : 's'}`;
-    }
-    
-    if (wasTruncated) {
-      statusMessage += `\nNote: Document was truncated to ${text.length.toLocaleString()} characters for processing`;
-    }
-    
-    await ctx.reply(statusMessage);
-    
-    const userId = ctx.from.id;
-    ctx.session.userId = userId;
-    ctx.session.documentText = text;
-    ctx.session.documentName = fileName;
-    ctx.session.documentTimestamp = Date.now();
-    
-    const inlineKeyboard = {
-      inline_keyboard: [
-        [
-          { text: 'Ask a question', callback_data: 'doc_ask' }
-        ],
-        [
-          { text: 'Summarize', callback_data: 'doc_summarize' },
-          { text: 'Save to KB', callback_data: 'doc_save' }
-        ],
-        [
-          { text: 'Extract key info', callback_data: 'doc_extract' }
-        ]
-      ]
-    };
+    const extracted = await processDocument(fileBuffer, fileType, fileName, {
+      onProgress: (done, total) => ctx.telegram
+        .editMessageText(ctx.chat.id, status.message_id, undefined, `Reading scanned pages with OCR... ${done}/${total}`)
+        .catch(err => console.error('Progress update failed:', err.message))
+    });
     
-    await ctx.reply(
-      `What would you like to do with "${fileName}"?`,
-      { reply_markup: inlineKeyboard }
-    );
+    await openDocumentSession(ctx, fileName, extracted);
     
   } catch (error) {
     console.error('Document processing error:', error.message);
     
     let errorMessage = `Error processing "${fileName}":\n\n`;
     
-    if (error.message.includes('scanned') || error.message.includes('image-based')) {
-      errorMessage += `This appears to be a scanned PDF (image-based).\n\n` +
-                     `I can only extract text from searchable PDFs.\n` +
-                     `To make it searchable:\n` +
-                     `• Use Adobe Acrobat's OCR feature\n` +
-                     `• Or use online tools like ilovepdf.com\n` +
-                     `• Or take a screenshot and use image-to-text tools`;
+    if (error.message.includes('No readable text')) {
+      errorMessage += `I couldn't recognise any text, even with OCR.\n\n` +
+                     `Please send a sharper, well-lit scan or photo and try again.`;
+    } else if (error.message.includes('OCR is disabled') || error.message.includes('scanned') || error.message.includes('image-based')) {
+      errorMessage += `This looks like a scanned document or image.\n\n` +
+                     `Text recognition (OCR) is turned off on this bot, so I can only read searchable PDFs and text files.`;
     } else if (error.message.includes('Invalid PDF')) {
       errorMessage += `The file appears to be corrupted or not a valid PDF.\n\n` +
                      `Please check the file and try again, or send a different file.`;
@@ -1305,13 +3774,56 @@ bot.on('document', async (ctx) => {
                      `Try compressing the PDF or splitting it into smaller files.`;
     } else {
       errorMessage += `${error.message}\n\n` +
-                     `Please ensure it's a valid PDF or text file and try again.`;
+                     `Please ensure the file is valid and not password-protected, then try again.`;
     }
     
     await ctx.reply(errorMessage);
   }
 });
 
+// ==================== PHOTO HANDLER ====================
+// Photos of receipts, notices or pages are read with OCR and then handled
+// like an uploaded document (ask, summarize, save to KB, extract).
+
+bot.on('photo', async (ctx) => {
+  if (!ocr.enabled) {
+    return ctx.reply('Text recognition (OCR) is turned off on this bot. Send the text or a searchable PDF instead.');
+  }
+
+  // Telegram sends every photo in several sizes, largest last
+  const photo = ctx.message.photo[ctx.message.photo.length - 1];
+  const fileName = `photo-${ctx.message.message_id}.jpg`;
+
+  if (photo.file_size && photo.file_size > SAFETY_CONFIG.MAX_FILE_SIZE_MB * 1024 * 1024) {
+    return ctx.reply(`Photo too large. Maximum size: ${SAFETY_CONFIG.MAX_FILE_SIZE_MB}MB.`);
+  }
+
+  await ctx.reply('Reading text from your photo...');
+
+  try {
+    const file = await ctx.telegram.getFile(photo.file_id);
+    const fileUrl = `https://api.telegram.org/file/bot${process.env.BOT_TOKEN}/${file.file_path}`;
+
+    const response = await axios.get(fileUrl, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxContentLength: SAFETY_CONFIG.MAX_FILE_SIZE_MB * 1024 * 1024
+    });
+
+    const extracted = await processDocument(Buffer.from(response.data), 'image', fileName);
+
+    await openDocumentSession(ctx, fileName, extracted);
+  } catch (error) {
+    console.error('Photo OCR error:', error.message);
+
+    if (error.message.includes('No readable text')) {
+      return ctx.reply('I couldn\'t find any text in this photo. Try a sharper, well-lit photo taken straight on.');
+    }
+
+    await ctx.reply('Sorry, I couldn\'t read this photo. Please try again.');
+  }
+});
+
 // ==================== CALLBACK QUERY HANDLER ====================
 
 bot.on('callback_query', async (ctx) => {
@@ -1321,6 +3833,58 @@ bot.on('callback_query', async (ctx) => {
   
   await ctx.answerCbQuery();
   
+  // Export buttons stay in place so another format can be picked later
+  if (callbackData.startsWith('tr_')) {
+    await sendTranscriptFile(ctx, callbackData.slice(3));
+    return;
+  }
+  
+  // Source buttons also stay, so every source of an answer can be opened
+  if (callbackData.startsWith('src_')) {
+    await openSource(ctx, callbackData);
+    return;
+  }
+  
+  // List pages replace each other in the same message
+  if (callbackData.startsWith('kbl_')) {
+    try {
+      const { text, replyMarkup } = await renderKnowledgePage(parseInt(callbackData.slice(4), 10) || 1);
+      await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup: replyMarkup });
+    } catch (err) {
+      console.error('List page error:', err.message);
+    }
+    return;
+  }
+  
+  // So do the FAQ menu and the category pages opened from it
+  if (callbackData.startsWith('faq_')) {
+    try {
+      const [, page, category] = callbackData.match(/^faq_(\d+)_(.*)$/) || [];
+      const view = page
+        ? await renderKnowledgePage(parseInt(page, 10), category || null)
+        : (await renderFaqMenu()) || { text: 'No FAQs yet.' };
+      await ctx.editMessageText(view.text, { parse_mode: 'HTML', reply_markup: view.replyMarkup });
+    } catch (err) {
+      console.error('FAQ page error:', err.message);
+    }
+    return;
+  }
+  
+  if (callbackData.startsWith('kbx_')) {
+    if (!(await hasRole(userId, 'editor'))) {
+      await ctx.reply('Sorry, exporting the knowledge base needs the editor role.');
+      return;
+    }
+    
+    try {
+      await sendKnowledgeExport(ctx, callbackData.slice(4));
+    } catch (err) {
+      console.error('Export error:', err);
+      await ctx.reply('Error exporting the knowledge base.');
+    }
+    return;
+  }
+  
   try {
     await ctx.deleteMessage(messageId);
   } catch (err) {
@@ -1355,18 +3919,38 @@ bot.on('callback_query', async (ctx) => {
     return;
   }
   
+  if (callbackData.startsWith('kbi_')) {
+    await runImport(ctx, callbackData.slice(4));
+    return;
+  }
+  
+  if (callbackData.startsWith('kbt_')) {
+    await applyTagSuggestion(ctx, callbackData);
+    return;
+  }
+  
+  if (callbackData.startsWith('kbe_') || callbackData.startsWith('kbd_')) {
+    try {
+      await handleEntryAction(ctx, callbackData);
+    } catch (err) {
+      console.error('Entry action error:', err);
+      await ctx.reply('Error changing the entry. Please try again.');
+    }
+    return;
+  }
+  
   if (callbackData.startsWith('doc_')) {
     if (ctx.session.userId !== userId) {
       await ctx.reply('Session expired. Please upload the document again.');
       return;
     }
     
-    if (!ctx.session.documentText) {
+    const docIndex = await getDocumentIndex(ctx.session);
+    if (!docIndex) {
       await ctx.reply('Document context lost. Please upload the document again.');
       return;
     }
     
-    const docText = ctx.session.documentText;
     const docName = ctx.session.documentName || 'the document';
     
     switch (callbackData) {
@@ -1379,14 +3963,21 @@ bot.on('callback_query', async (ctx) => {
         await ctx.reply(`Creating summary of "${docName}"...`);
         
         try {
-          const summary = await queryGroqAI(
-            `Please summarize the following document content in 3-5 key bullet points:\n\n` +
-            `DOCUMENT CONTENT:\n${docText}\n\n` +
-            `Provide a concise summary of the main points.`
+          const sampledChunks = selectRepresentativeChunks(docIndex);
+          const summary = await queryAI(
+            `Please summarize the following excerpts, sampled from across the whole document, in 3-5 key bullet points:\n\n` +
+            `DOCUMENT EXCERPTS:\n${formatChunksForPrompt(sampledChunks)}\n\n` +
+            `Provide a concise summary of the main points.`,
+            null,
+            { model: await resolveModel(ctx.session) }
           );
           
           if (summary) {
-            await ctx.reply(`<b>Summary of ${docName}:</b>\n\n${summary}`, { parse_mode: 'HTML' });
+            const { footer, replyMarkup } = describeSources(ctx.session, documentSources(docName, sampledChunks));
+            await ctx.reply(
+              `<b>Summary of ${docName}:</b>\n\n${summary}${footer ? `\n\n${escapeHtml(footer)}` : ''}`,
+              { parse_mode: 'HTML', reply_markup: replyMarkup }
+            );
             
             // ADDED: Generate voice response for document summary
             try {
@@ -1403,18 +3994,22 @@ bot.on('callback_query', async (ctx) => {
           await ctx.reply('Error generating summary. Please try again.');
         }
         
-        delete ctx.session.documentText;
-        delete ctx.session.documentName;
-        delete ctx.session.documentTimestamp;
+        clearDocumentSession(ctx.session);
         break;
         
       case 'doc_save':
-        if (supabaseAvailable) {
+        if (!(await hasRole(userId, 'editor'))) {
+          await ctx.reply('Sorry, saving to the knowledge base needs the editor role.');
+        } else if (storageAvailable) {
           try {
             const question = `Content from: ${docName}`;
-            const answer = `Document: ${docName}\n\nKey content:\n${docText.substring(0, 3000)}${docText.length > 3000 ? '...' : ''}`;
+            const { text: docText, sections } = docIndex;
+            const pages = formatPages(locateChunk(sections, 0, 3000).pages);
+            const answer = `Document: ${docName}${pages ? ` (${pages})` : ''}\n\n` +
+              `Key content:\n${annotatePages(docText, sections, 3000)}${docText.length > 3000 ? '...' : ''}`;
             
-            const { result } = await addKnowledge(`${question} || ${answer}`);
+            const { result, action, entry, previous } = await saveKnowledge(question, answer, userId);
+            rememberChange(ctx.session, action, previous, entry);
             
             await ctx.reply(`Document saved to knowledge base!\n\n${result}`);
           } catch (error) {
@@ -1425,27 +4020,33 @@ bot.on('callback_query', async (ctx) => {
           await ctx.reply('Knowledge base unavailable.');
         }
         
-        delete ctx.session.documentText;
-        delete ctx.session.documentName;
-        delete ctx.session.documentTimestamp;
+        clearDocumentSession(ctx.session);
         break;
         
       case 'doc_extract':
         await ctx.reply(`Extracting key information from "${docName}"...`);
         
         try {
-          const keyInfo = await queryGroqAI(
-            `Extract the most important information from this document content:\n\n` +
-            `DOCUMENT CONTENT:\n${docText}\n\n` +
+          const sampledChunks = selectRepresentativeChunks(docIndex);
+          const keyInfo = await queryAI(
+            `Extract the most important information from these excerpts, sampled from across the whole document.\n\n` +
+            citationInstruction(sampledChunks) +
+            `DOCUMENT EXCERPTS:\n${formatChunksForPrompt(sampledChunks)}\n\n` +
             `Please provide:\n` +
             `1. Main topics/subjects\n` +
             `2. Key dates/numbers\n` +
             `3. Important names/organizations\n` +
-            `4. Main conclusions/recommendations`
+            `4. Main conclusions/recommendations`,
+            null,
+            { model: await resolveModel(ctx.session) }
           );
           
           if (keyInfo) {
-            await ctx.reply(`<b>Key Information from ${docName}:</b>\n\n${keyInfo}`, { parse_mode: 'HTML' });
+            const { footer, replyMarkup } = describeSources(ctx.session, documentSources(docName, sampledChunks));
+            await ctx.reply(
+              `<b>Key Information from ${docName}:</b>\n\n${keyInfo}${footer ? `\n\n${escapeHtml(footer)}` : ''}`,
+              { parse_mode: 'HTML', reply_markup: replyMarkup }
+            );
             
             // ADDED: Generate voice response for extracted key info
             try {
@@ -1462,9 +4063,7 @@ bot.on('callback_query', async (ctx) => {
           await ctx.reply('Error extracting information. Please try again.');
         }
         
-        delete ctx.session.documentText;
-        delete ctx.session.documentName;
-        delete ctx.session.documentTimestamp;
+        clearDocumentSession(ctx.session);
         break;
     }
   }
@@ -1475,11 +4074,93 @@ bot.on('callback_query', async (ctx) => {
 const processedMessages = new Set();
 const MAX_PROCESSED_IDS = 1000;
 
-bot.on('voice', async (ctx) => {
+// ==================== TRANSCRIPTION ONLY ====================
+// /transcribe (as a reply to a recording, or as a mode) returns just the
+// transcript with timestamps and offers it as .txt, .srt or .vtt files.
+
+const getSpokenMedia = (message) => {
+  if (message.voice) return { media: message.voice, source: 'voice' };
+  if (message.audio) return { media: message.audio, source: 'audio' };
+  if (message.video_note) return { media: message.video_note, source: 'video_note' };
+  if (message.video) return { media: message.video, source: 'video' };
+  if (message.document?.mime_type?.startsWith('audio/')) return { media: message.document, source: 'audio' };
+  return null;
+};
+
+const sendTranscription = async (ctx, transcript) => {
+  // Kept for the export buttons, which can be pressed more than once
+  ctx.session.lastTranscript = { ...transcript, createdAt: Date.now() };
+  
+  const body = `📝 Transcript:\n\n${EXPORT_FORMATS.txt(transcript)}`;
+  for (let offset = 0; offset < body.length; offset += STREAM_CONFIG.maxMessageLength) {
+    await ctx.reply(body.slice(offset, offset + STREAM_CONFIG.maxMessageLength));
+  }
+  
+  await ctx.reply('Download the transcript as:', {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: '📄 TXT', callback_data: 'tr_txt' },
+        { text: '🎬 SRT', callback_data: 'tr_srt' },
+        { text: '🌐 VTT', callback_data: 'tr_vtt' }
+      ]]
+    }
+  });
+};
+
+const sendTranscriptFile = async (ctx, format) => {
+  const transcript = ctx.session.lastTranscript;
+  const formatter = EXPORT_FORMATS[format];
+  
+  if (!transcript || !formatter) {
+    return ctx.reply('Transcript expired. Please transcribe the recording again.');
+  }
+  
+  const stamp = new Date(transcript.createdAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+  await ctx.replyWithDocument({
+    source: Buffer.from(formatter(transcript), 'utf-8'),
+    filename: `transcript-${stamp}.${format}`
+  });
+};
+
+bot.command('transcribe', async (ctx) => {
+  const replied = ctx.message.reply_to_message;
+  const spoken = replied ? getSpokenMedia(replied) : null;
+  
+  if (spoken) {
+    return handleSpokenMessage(ctx, spoken.media, spoken.source, { transcribeOnly: true });
+  }
+  
+  const mode = ctx.message.text.replace(/^\/transcribe\s*/i, '').trim().toLowerCase();
+  
+  if (mode === 'on') {
+    ctx.session.transcribeMode = true;
+    return ctx.reply('✅ Transcription mode on. Voice, audio and video messages now only get a transcript.\nUse `/transcribe off` to get answers again.', { parse_mode: 'Markdown' });
+  }
+  
+  if (mode === 'off') {
+    delete ctx.session.transcribeMode;
+    return ctx.reply('Transcription mode off. Voice messages are answered again.');
+  }
+  
+  return ctx.reply(
+    `Transcription mode: **${ctx.session.transcribeMode ? 'ON' : 'OFF'}**\n\n` +
+    `**Usage:**\n` +
+    `• Reply \`/transcribe\` to a voice, audio or video message\n` +
+    `• \`/transcribe on\` - Only transcribe recordings\n` +
+    `• \`/transcribe off\` - Answer recordings again`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// Voice notes, audio files, round video notes and videos share one pipeline:
+// ffmpeg extracts the audio track, Whisper transcribes it and the transcript is
+// answered like any voice message. `source` is stored with the transcript.
+const handleSpokenMessage = async (ctx, media, source = 'voice', { transcribeOnly = false } = {}) => {
+  const onlyTranscribe = transcribeOnly || !!ctx.session.transcribeMode;
   const messageId = ctx.message.message_id;
   
   if (processedMessages.has(messageId)) {
-    console.log(`Skipping already processed voice message ${messageId}`);
+    console.log(`Skipping already processed ${source} message ${messageId}`);
     return;
   }
   
@@ -1489,55 +4170,96 @@ bot.on('voice', async (ctx) => {
     processedMessages.delete(firstId);
   }
   
+  if (media.file_size && media.file_size > SAFETY_CONFIG.MAX_FILE_SIZE_MB * 1024 * 1024) {
+    const sizeMB = (media.file_size / 1024 / 1024).toFixed(1);
+    return ctx.reply(
+      `File too large: ${sizeMB}MB.\n` +
+      `Maximum file size: ${SAFETY_CONFIG.MAX_FILE_SIZE_MB}MB.\n` +
+      `Please send a shorter recording.`
+    );
+  }
+  
   try {
-    await ctx.reply('Processing...');
+    const status = await ctx.reply('Processing...');
     
-    const file = await ctx.telegram.getFile(ctx.message.voice.file_id);
+    const file = await ctx.telegram.getFile(media.file_id);
     const audioUrl = `https://api.telegram.org/file/bot${process.env.BOT_TOKEN}/${file.file_path}`;
     
-    const audioFloat32 = await decodeAudioToFloat32(audioUrl);
-    
-    const model = await loadTranscriber();
-    const result = await processWithTimeout(
-      () => model(audioFloat32),
-      'Speech Recognition',
-      30000
-    );
+    const audioFloat32 = await decodeAudioToFloat32(audioUrl, { fromFile: source !== 'voice' });
+    const wasTruncated = audioFloat32.length >= TRANSCRIPTION_CONFIG.maxSeconds * SAMPLE_RATE;
     
-    const userText = result.text?.trim() || '';
+    const transcript = await transcribeAudio(audioFloat32, {
+      timestamps: onlyTranscribe,
+      onProgress: (done, total) => ctx.telegram
+        .editMessageText(ctx.chat.id, status.message_id, undefined, `Transcribing... ${done}/${total}`)
+        .catch(err => console.error('Progress update failed:', err.message))
+    });
+    const { text: userText, language } = transcript;
     
     if (!userText) {
       await ctx.reply('Could not understand the audio. Please try again.');
       return;
     }
     
-    await ctx.reply(`**You said:** ${userText}`, { parse_mode: 'Markdown' });
+    if (onlyTranscribe) {
+      await sendTranscription(ctx, { ...transcript, duration: audioFloat32.length / SAMPLE_RATE });
+      
+      if (wasTruncated) {
+        await ctx.reply(`Note: only the first ${Math.round(TRANSCRIPTION_CONFIG.maxSeconds / 60)} minutes were transcribed.`);
+      }
+      
+      await saveTranscript(ctx.from?.id, userText, source, language);
+      return;
+    }
+    
+    // Transcripts of long recordings can exceed Telegram's message limit
+    const heard = `**You said:** ${userText}`;
+    for (let offset = 0; offset < heard.length; offset += STREAM_CONFIG.maxMessageLength) {
+      await ctx.reply(heard.slice(offset, offset + STREAM_CONFIG.maxMessageLength), offset === 0 ? { parse_mode: 'Markdown' } : undefined);
+    }
+    
+    if (wasTruncated) {
+      await ctx.reply(`Note: only the first ${Math.round(TRANSCRIPTION_CONFIG.maxSeconds / 60)} minutes were transcribed.`);
+    }
     
-    if (supabaseAvailable) {
-      await saveTranscript(ctx.from?.id, userText, 'voice');
+    if (storageAvailable) {
+      await saveTranscript(ctx.from?.id, userText, source, language);
     }
 
     const useAI = ctx.session.voiceAIMode || false;
     
-    const response = await enhancedFindAnswer(userText, useAI);
-    
-    const sourceLabel = response.source === 'knowledge_base' ? 'Knowledge Base' : 
-                       response.source === 'groq_ai' ? 'AI Response' : 'Default';
+    const stream = createReplyStream(ctx, 'AI Response');
+    const response = await enhancedFindAnswer(userText, useAI, {
+      history: getHistoryMessages(ctx.session),
+      model: await resolveModel(ctx.session),
+      onToken: stream.onToken,
+      language
+    });
     
-    await ctx.reply(`**${sourceLabel}:**\n\n${response.answer}`, { parse_mode: 'Markdown' });
+    await replyWithAnswer(ctx, stream, response);
 
     try {
-      const voiceBuffer = await textToVoice(response.answer.replace(/\*\*/g, '').replace(/`/g, ''));
+      // Spoken in the language detected in this message, later text replies use the default voice
+      const voiceBuffer = await textToVoice(response.answer.replace(/\*\*/g, '').replace(/`/g, ''), language);
       await ctx.replyWithVoice({ source: voiceBuffer });
     } catch (err) {
       console.error('Voice generation failed:', err.message);
     }
     
+    if (response.source !== 'default') {
+      recordTurn(ctx, userText, response.answer);
+    }
+    
   } catch (error) {
-    console.error('Voice handler error:', error.message);
-    await ctx.reply('Error processing voice message. Please try again.');
+    console.error(`Spoken input error (${source}):`, error.message);
+    await ctx.reply(`Error processing ${source === 'voice' ? 'voice message' : source.replace('_', ' ')}. Please try again.`);
   }
-});
+};
+
+bot.on('voice', (ctx) => handleSpokenMessage(ctx, ctx.message.voice, 'voice'));
+bot.on('audio', (ctx) => handleSpokenMessage(ctx, ctx.message.audio, 'audio'));
+bot.on('video_note', (ctx) => handleSpokenMessage(ctx, ctx.message.video_note, 'video_note'));
+bot.on('video', (ctx) => handleSpokenMessage(ctx, ctx.message.video, 'video'));
 
 bot.on('text', async (ctx) => {
   const messageId = ctx.message.message_id;
@@ -1548,23 +4270,36 @@ bot.on('text', async (ctx) => {
   
   if (ctx.session && ctx.session.waitingForQuestion && ctx.session.userId === userId) {
     const question = userText;
-    const docText = ctx.session.documentText;
     const docName = ctx.session.documentName || 'the document';
     
     delete ctx.session.waitingForQuestion;
     
-    await ctx.reply('Thinking about your question...');
+    const docIndex = await getDocumentIndex(ctx.session);
+    if (!docIndex) {
+      await ctx.reply('Document context lost. Please upload the document again.');
+      clearDocumentSession(ctx.session);
+      return;
+    }
+    
+    const stream = createReplyStream(ctx, 'Answer', { placeholder: 'Thinking about your question...' });
     
     try {
-      const answer = await queryGroqAI(
-        `Based on the following document content:\n\n` +
-        `DOCUMENT CONTENT:\n${docText}\n\n` +
+      const relevantChunks = await retrieveRelevantChunks(docIndex, question);
+      
+      const answer = await queryAI(
+        `Answer the question using only the following excerpts from "${docName}". ` +
+        `If the excerpts do not contain the answer, say so.\n\n` +
+        citationInstruction(relevantChunks) +
+        `DOCUMENT EXCERPTS:\n${formatChunksForPrompt(relevantChunks)}\n\n` +
         `Question: ${question}\n\n` +
-        `Answer:`
+        `Answer:`,
+        null,
+        { model: await resolveModel(ctx.session), onToken: stream.onToken }
       );
       
-      if (answer) {
-        await ctx.reply(`<b>Answer:</b>\n\n${answer}`, { parse_mode: 'HTML' });
+      const attribution = answer ? describeSources(ctx.session, documentSources(docName, relevantChunks)) : {};
+      
+      if (await stream.finish(answer, attribution)) {
         
         // ADDED: Generate voice response for document question answers
         try {
@@ -1580,9 +4315,15 @@ bot.on('text', async (ctx) => {
       await ctx.reply('Error answering question.');
     }
     
-    delete ctx.session.documentText;
-    delete ctx.session.documentName;
-    delete ctx.session.documentTimestamp;
+    clearDocumentSession(ctx.session);
+    return;
+  }
+  
+  // The reply to an "edit question/answer" button is the new value
+  if (ctx.session?.editingEntry) {
+    const { id, field } = ctx.session.editingEntry;
+    delete ctx.session.editingEntry;
+    await applyEdit(ctx, id, field, userText);
     return;
   }
   
@@ -1597,18 +4338,20 @@ bot.on('text', async (ctx) => {
     processedMessages.delete(firstId);
   }
 
-  if (supabaseAvailable) {
+  if (storageAvailable) {
     await saveTranscript(ctx.from?.id, userText, 'text');
   }
 
   const useAI = ctx.session.textAIMode || false;
   
-  const response = await enhancedFindAnswer(userText, useAI);
-  
-  const sourceLabel = response.source === 'knowledge_base' ? 'Knowledge Base' : 
-                     response.source === 'groq_ai' ? 'AI Response' : 'Default';
+  const stream = createReplyStream(ctx, 'AI Response');
+  const response = await enhancedFindAnswer(userText, useAI, {
+    history: getHistoryMessages(ctx.session),
+    model: await resolveModel(ctx.session),
+    onToken: stream.onToken
+  });
   
-  await ctx.reply(`**${sourceLabel}:**\n\n${response.answer}`, { parse_mode: 'Markdown' });
+  await replyWithAnswer(ctx, stream, response);
 
   try {
     const voiceBuffer = await textToVoice(response.answer.replace(/\*\*/g, '').replace(/`/g, ''));
@@ -1616,6 +4359,10 @@ bot.on('text', async (ctx) => {
   } catch (err) {
     console.error('Voice generation failed:', err.message);
   }
+  
+  if (response.source !== 'default') {
+    recordTurn(ctx, userText, response.answer);
+  }
 });
 
 // ==================== CRASH PREVENTION ====================
@@ -1634,13 +4381,15 @@ bot.use(async (ctx, next) => {
   await next();
 });
 
-bot.catch((err, ctx) => {
+const reportBotError = (err, ctx) => {
   console.error('Bot error:', err);
   
   try {
     ctx.reply('An error occurred. Please try again.').catch(() => {});
   } catch (e) {}
-});
+};
+
+bot.catch(reportBotError);
 
 process.on('uncaughtException', (error) => {
   console.error('UNCAUGHT EXCEPTION:', error);
@@ -1673,16 +4422,33 @@ const gracefulShutdown = async (reason = 'unknown') => {
   }, 10000);
   
   try {
-    if (bot && bot.stop) {
-      await bot.stop();
+    if (memoryMonitor) {
+      clearInterval(memoryMonitor);
+    }
+    
+    if (sessionCleanup) {
+      clearInterval(sessionCleanup);
+    }
+    
+    if (transport) {
+      await transport.stop(reason);
       console.log('Bot stopped accepting requests');
     }
     
+    // Updates already taken from Telegram are not delivered again
+    await whenIdle();
+    
     while (activeRequests > 0) {
       console.log(`Waiting for ${activeRequests} active requests...`);
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
+    if (storage) {
+      await storage.flush();
+    }
+    
+    await ocr.terminate();
+    
     clearTimeout(shutdownTimeout);
     console.log('Graceful shutdown complete');
     process.exit(0);
@@ -1692,6 +4458,47 @@ const gracefulShutdown = async (reason = 'unknown') => {
   }
 };
 
+// ==================== HEALTH & MEMORY ====================
+
+const getHealth = () => {
+  const memory = process.memoryUsage();
+  
+  return {
+    status: isShuttingDown ? 'shutting_down' : 'ok',
+    service: 'voice-support-bot',
+    timestamp: new Date().toISOString(),
+    transport: transport ? transport.mode : 'starting',
+    memory: {
+      heapUsed: Math.round(memory.heapUsed / 1024 / 1024) + 'MB',
+      heapTotal: Math.round(memory.heapTotal / 1024 / 1024) + 'MB',
+      rss: Math.round(memory.rss / 1024 / 1024) + 'MB'
+    },
+    activeRequests,
+    storage: storageAvailable ? storage.name : 'disconnected',
+    whisper: transcriber ? 'loaded' : 'not-loaded',
+    tts: tts.providers.map(provider => provider.name),
+    ocr: ocr.enabled ? ocr.languages : 'disabled',
+    llm: llm.enabled ? llm.providers.map(provider => provider.name) : 'disabled'
+  };
+};
+
+const startMemoryMonitor = () => {
+  memoryMonitor = setInterval(() => {
+    const heapUsedMB = process.memoryUsage().heapUsed / 1024 / 1024;
+    
+    if (heapUsedMB > SAFETY_CONFIG.MAX_MEMORY_MB) {
+      console.warn(`High memory: ${heapUsedMB.toFixed(1)}MB`);
+      
+      // Only available when node runs with --expose-gc
+      if (global.gc) {
+        global.gc();
+      }
+    }
+  }, SAFETY_CONFIG.HEALTH_CHECK_INTERVAL);
+  
+  memoryMonitor.unref();
+};
+
 // ==================== BOT STARTUP ====================
 
 const startBot = async () => {
@@ -1703,8 +4510,28 @@ const startBot = async () => {
     console.log(`Request limit: ${SAFETY_CONFIG.REQUEST_QUEUE_SIZE} concurrent`);
     console.log(`Timeout: ${SAFETY_CONFIG.MAX_REQUEST_TIME}ms per request`);
     
-    await bot.launch();
-    console.log('Bot started successfully');
+    if (storageAvailable && EMBEDDING_CONFIG.enabled && EMBEDDING_CONFIG.backfillOnStart) {
+      backfillEmbeddings().catch(err => {
+        console.error('Embedding backfill failed:', err.message || err);
+      });
+    }
+    
+    transport = await startTransport(bot, { getHealth });
+    console.log(`Bot started successfully (${transport.mode})`);
+    
+    if (!memoryMonitor) {
+      startMemoryMonitor();
+    }
+    
+    if (usePersistentSessions && !sessionCleanup) {
+      sessionCleanup = setInterval(() => {
+        storage.deleteExpiredSessions().catch(err => {
+          console.error('Expired session cleanup failed:', err.message || err);
+        });
+      }, SESSION_CONFIG.cleanupInterval);
+      
+      sessionCleanup.unref();
+    }
     
   } catch (err) {
     console.error('Failed to start bot:', err);
@@ -1713,4 +4540,15 @@ const startBot = async () => {
   }
 };
 
-startBot();
\ No newline at end of file
+if (require.main === module) {
+  startBot();
+}
+
+module.exports = {
+  bot,
+  storage,
+  whenIdle,
+  startBot,
+  getHealth,
+  gracefulShutdown
+};
@@ -0,0 +1,279 @@
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const path = require('path');
+
+// ==================== DOCUMENT TYPES ====================
+//
+// Telegram reports whatever MIME type the sender's client guessed, which for
+// Markdown and CSV is often application/octet-stream, so the file extension is
+// used when the MIME type is not recognised. Images are read with OCR (ocr.js).
+
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'text/plain': 'txt',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/markdown': 'md',
+  'text/x-markdown': 'md',
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'text/csv': 'csv',
+  'text/comma-separated-values': 'csv',
+  'application/epub+zip': 'epub',
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/webp': 'image'
+};
+
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.txt': 'txt',
+  '.docx': 'docx',
+  '.md': 'md',
+  '.markdown': 'md',
+  '.html': 'html',
+  '.htm': 'html',
+  '.csv': 'csv',
+  '.epub': 'epub',
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.png': 'image',
+  '.webp': 'image'
+};
+
+const resolveDocumentType = (mimeType, fileName = '') => (
+  MIME_TYPES[mimeType] || EXTENSIONS[path.extname(fileName).toLowerCase()] || null
+);
+
+// ==================== TEXT EXTRACTORS ====================
+// Each extractor takes the file buffer and resolves with { text, info } and,
+// where the format has headings, segments: [{ heading, text }] in document
+// order so answers can cite the section they came from.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// Block elements become line breaks so paragraphs, list items and table rows
+// stay apart once the tags are gone.
+const htmlToText = (html) => {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|title|noscript|svg)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n• ')
+    .replace(/<\/t[dh]>\s*<t[dh][^>]*>/gi, ' | ')
+    .replace(/<\/(p|div|section|article|h[1-6]|tr|table|ul|ol|blockquote|pre)>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Splits HTML at <h1>-<h6>; text before the first heading gets heading null
+const splitHtmlByHeadings = (html) => {
+  const parts = html.split(/(<h[1-6][^>]*>[\s\S]*?<\/h[1-6]>)/i);
+  const segments = [{ heading: null, text: htmlToText(parts[0]) }];
+
+  for (let i = 1; i < parts.length; i += 2) {
+    const heading = htmlToText(parts[i]).replace(/\s+/g, ' ');
+    segments.push({ heading: heading || null, text: htmlToText(parts[i] + parts[i + 1]) });
+  }
+
+  return segments.filter(segment => segment.text);
+};
+
+const markdownToText = (markdown) => markdown
+  .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/^ {0,3}#{1,6}[ \t]+/gm, '')
+  .replace(/^ {0,3}>\s?/gm, '')
+  .replace(/^[ \t]*[-*+][ \t]+/gm, '• ')
+  .replace(/(\*\*|__)(.*?)\1/g, '$2')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// RFC 4180 style: quoted fields may contain the delimiter, quotes ("") and newlines
+const parseCsv = (text) => {
+  const firstLine = text.split('\n')[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(Boolean));
+};
+
+const joinSegments = (segments) => segments.map(segment => segment.text).join('\n\n');
+
+// mammoth maps Word's Heading 1-6 styles to <h1>-<h6>
+const extractDocx = async (buffer) => {
+  const result = await mammoth.convertToHtml({ buffer });
+  const segments = splitHtmlByHeadings(result.value);
+  return { text: joinSegments(segments), segments, info: {} };
+};
+
+const extractMarkdown = async (buffer) => {
+  const markdown = buffer.toString('utf-8');
+  const parts = markdown.split(/^(?= {0,3}#{1,6}[ \t]+)/m);
+
+  const segments = parts
+    .map(part => ({
+      heading: part.match(/^ {0,3}#{1,6}[ \t]+(.+)/)?.[1].replace(/[ \t]#+[ \t]*$/, '').trim() || null,
+      text: markdownToText(part)
+    }))
+    .filter(segment => segment.text);
+
+  return { text: markdownToText(markdown), segments, info: {} };
+};
+
+const extractHtml = async (buffer) => {
+  const html = buffer.toString('utf-8');
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const body = html.replace(/<head[\s\S]*?<\/head>/i, '');
+  return {
+    text: htmlToText(html),
+    segments: splitHtmlByHeadings(body),
+    info: title ? { title: decodeEntities(title[1].trim()) } : {}
+  };
+};
+
+// The header row names every value, so a row reads as "Row 3: Plan: Pro; Price: $20"
+const extractCsv = async (buffer) => {
+  const [header = [], ...rows] = parseCsv(buffer.toString('utf-8').replace(/^\uFEFF/, ''));
+  const columns = header.map((name, index) => name || `Column ${index + 1}`);
+
+  const lines = rows.map((cells, index) => {
+    const values = cells
+      .map((value, column) => value ? `${columns[column] || `Column ${column + 1}`}: ${value}` : null)
+      .filter(Boolean);
+    return `Row ${index + 1}: ${values.join('; ')}`;
+  });
+
+  return {
+    text: `Columns: ${columns.join(', ')}\n\n${lines.join('\n')}`,
+    info: { numRows: rows.length }
+  };
+};
+
+const readAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return match ? (match[2] ?? match[3]) : null;
+};
+
+// An EPUB is a zip: META-INF/container.xml points at the OPF package file,
+// whose spine lists the XHTML chapters in reading order.
+const extractEpub = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const container = await zip.file('META-INF/container.xml')?.async('string');
+  const rootfile = container && container.match(/<rootfile\b[^>]*>/i);
+  const opfPath = rootfile && readAttribute(rootfile[0], 'full-path');
+  if (!opfPath || !zip.file(opfPath)) {
+    throw new Error('Invalid EPUB file: package document not found');
+  }
+
+  const opf = await zip.file(opfPath).async('string');
+  const baseDir = path.posix.dirname(opfPath);
+
+  const manifest = {};
+  for (const [item] of opf.matchAll(/<item\b[^>]*>/gi)) {
+    manifest[readAttribute(item, 'id')] = readAttribute(item, 'href');
+  }
+
+  const chapters = [];
+  const segments = [];
+  for (const [itemref] of opf.matchAll(/<itemref\b[^>]*>/gi)) {
+    const href = manifest[readAttribute(itemref, 'idref')];
+    if (!href) continue;
+
+    const file = zip.file(path.posix.join(baseDir, decodeURIComponent(href)));
+    if (!file) continue;
+
+    const html = (await file.async('string')).replace(/<head[\s\S]*?<\/head>/i, '');
+    const text = htmlToText(html);
+    if (!text) continue;
+
+    chapters.push(text);
+    // Text before a chapter's first heading is cited by chapter number
+    splitHtmlByHeadings(html).forEach(segment => segments.push({
+      heading: segment.heading || `Chapter ${chapters.length}`,
+      text: segment.text
+    }));
+  }
+
+  const title = opf.match(/<dc:title[^>]*>([\s\S]*?)<\/dc:title>/i);
+
+  return {
+    text: chapters.join('\n\n'),
+    segments,
+    info: {
+      numChapters: chapters.length,
+      ...(title ? { title: decodeEntities(title[1].trim()) } : {})
+    }
+  };
+};
+
+const EXTRACTORS = {
+  docx: extractDocx,
+  md: extractMarkdown,
+  html: extractHtml,
+  csv: extractCsv,
+  epub: extractEpub
+};
+
+module.exports = {
+  EXTRACTORS,
+  resolveDocumentType,
+  htmlToText,
+  parseCsv
+};
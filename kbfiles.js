@@ -0,0 +1,149 @@
+const { parseCsv } = require('./extractors');
+const { normalizeTags, formatTags } = require('./tags');
+
+// ==================== KNOWLEDGE BASE FILES ====================
+//
+// /export writes the knowledge base as CSV, JSON or Markdown and /import reads
+// CSV or JSON back. Exported entries are { id, question, answer, tags,
+// created_at, updated_at }; imports only need question and answer, so a CSV
+// and JSON export can be imported again as is. Tags are a list in JSON and
+// space-separated hashtags in CSV; the first one is the category.
+
+const IMPORT_LIMITS = {
+  maxRows: 1000,
+  // Same minimum as /add
+  minLength: 2
+};
+
+const EXPORT_COLUMNS = ['id', 'question', 'answer', 'tags', 'created_at', 'updated_at'];
+
+const toExportEntry = (entry) => ({
+  id: entry.id,
+  question: entry.question,
+  answer: entry.answer || entry.content || '',
+  tags: entry.tags || [],
+  created_at: entry.created_at || null,
+  updated_at: entry.updated_at || null
+});
+
+const csvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSVRow = (entry) => EXPORT_COLUMNS.map(column => column === 'tags' ? formatTags(entry.tags) : entry[column]);
+
+const toCSV = (entries) => [EXPORT_COLUMNS, ...entries.map(entry => toCSVRow(toExportEntry(entry)))]
+  .map(row => row.map(csvField).join(','))
+  .join('\r\n') + '\r\n';
+
+const toJSON = (entries) => JSON.stringify(entries.map(toExportEntry), null, 2) + '\n';
+
+const toMarkdown = (entries) => '# Knowledge base\n\n' + entries
+  .map(toExportEntry)
+  .map(entry => `## ${entry.question}\n\n${entry.answer}\n\n` +
+    (entry.tags.length > 0 ? `Tags: ${formatTags(entry.tags)}\n\n` : '') +
+    `_#${entry.id}${entry.updated_at ? `, updated ${entry.updated_at.slice(0, 10)}` : ''}_\n`)
+  .join('\n');
+
+const KNOWLEDGE_EXPORT_FORMATS = {
+  csv: toCSV,
+  json: toJSON,
+  md: toMarkdown
+};
+
+const resolveImportFormat = (mimeType, fileName = '') => {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (mimeType === 'application/json' || extension === 'json') return 'json';
+  if (['text/csv', 'application/csv', 'text/comma-separated-values'].includes(mimeType) || extension === 'csv') return 'csv';
+  return null;
+};
+
+// CSV files need question and answer columns, found by header name, or the
+// first two columns when there is no header row. A tags column is optional.
+const readCsvRecords = (text) => {
+  const rows = parseCsv(text).filter(row => row.some(field => field));
+  const header = (rows[0] || []).map(field => field.toLowerCase());
+  const questionColumn = header.indexOf('question');
+
+  if (questionColumn === -1) {
+    return rows.map(row => ({ question: row[0], answer: row[1] }));
+  }
+
+  const answerColumn = header.indexOf('answer') !== -1 ? header.indexOf('answer') : header.indexOf('content');
+  const tagsColumn = header.indexOf('tags');
+  return rows.slice(1).map(row => ({
+    question: row[questionColumn],
+    answer: row[answerColumn],
+    tags: tagsColumn !== -1 ? (row[tagsColumn] || '').split(/[\s,]+/) : []
+  }));
+};
+
+// tags as a list or a string of hashtags, with category first if it is given apart
+const readJsonTags = (item) => {
+  const tags = Array.isArray(item.tags) ? item.tags : String(item.tags || '').split(/[\s,]+/);
+  return item.category ? [item.category, ...tags] : tags;
+};
+
+// JSON files are a list of { question, answer } objects, or { entries: [...] }
+const readJsonRecords = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(list)) {
+    throw new Error('JSON must be a list of { "question", "answer" } objects');
+  }
+
+  return list.map(item => (item && typeof item === 'object')
+    ? { question: item.question, answer: item.answer ?? item.content, tags: readJsonTags(item) }
+    : { invalid: 'not a { question, answer } object' });
+};
+
+// -> { rows: [{ row, question, answer, tags }], errors: [{ row, reason }] }
+// Rows are numbered from 1, not counting a CSV header.
+const parseKnowledgeFile = (buffer, format) => {
+  const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+  const records = format === 'json' ? readJsonRecords(text) : readCsvRecords(text);
+
+  if (records.length > IMPORT_LIMITS.maxRows) {
+    throw new Error(`Too many rows: ${records.length} (the limit is ${IMPORT_LIMITS.maxRows})`);
+  }
+
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const question = record.question == null ? '' : String(record.question).trim();
+    const answer = record.answer == null ? '' : String(record.answer).trim();
+    const key = question.toLowerCase();
+
+    if (record.invalid) {
+      errors.push({ row, reason: record.invalid });
+    } else if (question.length < IMPORT_LIMITS.minLength) {
+      errors.push({ row, reason: 'question is missing or too short' });
+    } else if (answer.length < IMPORT_LIMITS.minLength) {
+      errors.push({ row, reason: 'answer is missing or too short' });
+    } else if (seen.has(key)) {
+      errors.push({ row, reason: `repeats the question of row ${seen.get(key)}` });
+    } else {
+      seen.set(key, row);
+      rows.push({ row, question, answer, tags: normalizeTags(record.tags) });
+    }
+  });
+
+  return { rows, errors };
+};
+
+module.exports = {
+  IMPORT_LIMITS,
+  KNOWLEDGE_EXPORT_FORMATS,
+  resolveImportFormat,
+  parseKnowledgeFile
+};
@@ -0,0 +1,307 @@
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+
+// ==================== PROVIDER CONFIGURATION ====================
+//
+// Any server that speaks the OpenAI chat completions API can be a provider:
+// Groq, a local llama.cpp server, Ollama, vLLM, LM Studio... Providers are
+// read from the environment in this order of precedence:
+//
+//   LLM_PROVIDERS       JSON array of { name, baseUrl, apiKey, models, defaultModel,
+//                       timeout, authHeader, authPrefix }
+//   GROQ_API_KEY        adds the hosted Groq provider
+//   LLM_BASE_URL        adds one OpenAI-compatible server (LLM_NAME, LLM_API_KEY,
+//                       LLM_MODELS, LLM_TIMEOUT_MS)
+//
+// LLM_FALLBACK_ORDER (comma-separated names) sets the order providers are tried in.
+
+const GROQ_MODELS = [
+  'llama-3.1-8b-instant',
+  'llama-3.2-3b-preview',
+  'llama-3.2-1b-preview',
+  'gemma2-9b-it'
+];
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const normalizeProvider = (provider) => {
+  const models = Array.isArray(provider.models) ? provider.models : parseList(provider.models);
+
+  return {
+    name: provider.name,
+    baseUrl: (provider.baseUrl || '').replace(/\/+$/, ''),
+    apiKey: provider.apiKey || null,
+    authHeader: provider.authHeader || 'Authorization',
+    authPrefix: provider.authPrefix ?? 'Bearer ',
+    models,
+    defaultModel: provider.defaultModel || models[0],
+    timeout: provider.timeout || 15000
+  };
+};
+
+const resolveProviders = (env = process.env) => {
+  let providers = [];
+
+  if (env.LLM_PROVIDERS) {
+    providers = JSON.parse(env.LLM_PROVIDERS);
+  } else {
+    if (env.GROQ_API_KEY) {
+      providers.push({
+        name: 'groq',
+        baseUrl: 'https://api.groq.com/openai/v1',
+        apiKey: env.GROQ_API_KEY,
+        models: GROQ_MODELS,
+        defaultModel: 'llama-3.1-8b-instant'
+      });
+    }
+
+    if (env.LLM_BASE_URL) {
+      providers.push({
+        name: env.LLM_NAME || 'local',
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY,
+        models: env.LLM_MODELS,
+        // Local CPU inference is much slower than hosted APIs
+        timeout: parseInt(env.LLM_TIMEOUT_MS, 10) || 60000
+      });
+    }
+  }
+
+  const normalized = providers
+    .map(normalizeProvider)
+    .filter(provider => {
+      if (!provider.name || !provider.baseUrl || !provider.defaultModel) {
+        console.warn(`Skipping LLM provider "${provider.name || 'unnamed'}": name, baseUrl and at least one model are required`);
+        return false;
+      }
+      return true;
+    });
+
+  const order = parseList(env.LLM_FALLBACK_ORDER);
+  if (order.length > 0) {
+    const rank = (provider) => {
+      const index = order.indexOf(provider.name);
+      return index === -1 ? order.length : index;
+    };
+    normalized.sort((a, b) => rank(a) - rank(b));
+  }
+
+  return normalized;
+};
+
+// ==================== CLIENT ====================
+
+const requestCompletion = async (provider, model, messages, { temperature, maxTokens }) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (provider.apiKey) {
+    headers[provider.authHeader] = `${provider.authPrefix}${provider.apiKey}`;
+  }
+
+  const response = await axios.post(
+    `${provider.baseUrl}/chat/completions`,
+    {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    },
+    {
+      headers,
+      timeout: provider.timeout
+    }
+  );
+
+  return response.data?.choices?.[0]?.message?.content?.trim() || null;
+};
+
+// Reads an OpenAI-style server-sent event stream, passing each text delta to onToken.
+// Resolves with everything received so far; on failure the partial text is attached
+// to the error so callers can keep it.
+const readCompletionStream = (stream, onToken) => new Promise((resolve, reject) => {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let content = '';
+  let settled = false;
+
+  const fail = (err) => {
+    if (settled) return;
+    settled = true;
+    err.partialContent = content;
+    reject(err);
+  };
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+
+    const data = trimmed.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (err) {
+      return;
+    }
+
+    if (event.error) {
+      throw new Error(event.error.message || 'Stream error');
+    }
+
+    const token = event.choices?.[0]?.delta?.content;
+    if (token) {
+      content += token;
+      onToken(token);
+    }
+  };
+
+  stream.on('data', (chunk) => {
+    if (settled) return;
+    buffer += decoder.write(chunk);
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    try {
+      lines.forEach(handleLine);
+    } catch (err) {
+      fail(err);
+      stream.destroy();
+    }
+  });
+
+  stream.on('end', () => {
+    if (settled) return;
+    try {
+      handleLine(buffer + decoder.end());
+    } catch (err) {
+      return fail(err);
+    }
+    settled = true;
+    resolve(content);
+  });
+
+  stream.on('error', fail);
+  stream.on('aborted', () => fail(new Error('Stream aborted')));
+});
+
+const streamCompletion = async (provider, model, messages, { temperature, maxTokens, onToken, signal }) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (provider.apiKey) {
+    headers[provider.authHeader] = `${provider.authPrefix}${provider.apiKey}`;
+  }
+
+  // The timeout is a socket idle timeout, so slow models keep streaming as long as tokens arrive
+  const response = await axios.post(
+    `${provider.baseUrl}/chat/completions`,
+    {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true
+    },
+    {
+      headers,
+      timeout: provider.timeout,
+      responseType: 'stream',
+      signal
+    }
+  );
+
+  const content = await readCompletionStream(response.data, onToken);
+  return content.trim() || null;
+};
+
+const createLLMClient = (providers) => {
+  const availableModels = [...new Set(providers.flatMap(provider => provider.models))];
+
+  const providerForModel = (model) => providers.find(provider => provider.models.includes(model)) || null;
+
+  // The provider that owns the requested model goes first with that model;
+  // the rest of the chain falls back to each provider's own default model.
+  const buildChain = (model) => {
+    const owner = providerForModel(model);
+    const chain = owner ? [{ provider: owner, model }] : [];
+
+    providers
+      .filter(provider => provider !== owner)
+      .forEach(provider => chain.push({ provider, model: provider.defaultModel }));
+
+    return chain;
+  };
+
+  const chat = async (messages, { model = null, temperature = 0.7, maxTokens = 800 } = {}) => {
+    let lastError = null;
+
+    for (const { provider, model: providerModel } of buildChain(model)) {
+      try {
+        const content = await requestCompletion(provider, providerModel, messages, { temperature, maxTokens });
+        if (content) {
+          return { content, provider: provider.name, model: providerModel };
+        }
+      } catch (err) {
+        lastError = err;
+        console.error(`LLM provider ${provider.name} (${providerModel}) failed:`, err.message);
+      }
+    }
+
+    if (lastError) throw lastError;
+    return null;
+  };
+
+  // Like chat(), but tokens are passed to onToken as they arrive. Once a provider has
+  // produced output the chain stops there: a failure returns the partial text with
+  // partial: true instead of restarting the answer on another provider.
+  const chatStream = async (messages, { model = null, temperature = 0.7, maxTokens = 800, onToken = () => {}, signal } = {}) => {
+    let lastError = null;
+
+    for (const { provider, model: providerModel } of buildChain(model)) {
+      try {
+        const content = await streamCompletion(provider, providerModel, messages, { temperature, maxTokens, onToken, signal });
+        if (content) {
+          return { content, provider: provider.name, model: providerModel, partial: false };
+        }
+      } catch (err) {
+        lastError = err;
+        console.error(`LLM provider ${provider.name} (${providerModel}) stream failed:`, err.message);
+
+        if (err.partialContent?.trim()) {
+          return { content: err.partialContent.trim(), provider: provider.name, model: providerModel, partial: true };
+        }
+        if (signal?.aborted) break;
+      }
+    }
+
+    if (lastError) throw lastError;
+    return null;
+  };
+
+  const ping = async (provider) => {
+    const startedAt = Date.now();
+    await requestCompletion(
+      provider,
+      provider.defaultModel,
+      [{ role: 'user', content: 'Say "OK" if working.' }],
+      { temperature: 0, maxTokens: 10 }
+    );
+    return Date.now() - startedAt;
+  };
+
+  return {
+    providers,
+    enabled: providers.length > 0,
+    availableModels,
+    defaultModel: providers[0]?.defaultModel || null,
+    // Worst case for one chat() call when every provider in the chain times out
+    totalTimeout: providers.reduce((sum, provider) => sum + provider.timeout, 0),
+    providerForModel,
+    chat,
+    chatStream,
+    ping
+  };
+};
+
+module.exports = {
+  resolveProviders,
+  createLLMClient
+};
@@ -0,0 +1,145 @@
+const Tesseract = require('tesseract.js');
+const pdfParse = require('pdf-parse');
+const path = require('path');
+
+// ==================== OCR ====================
+//
+// Reads text from photos and scanned PDFs with tesseract.js, which runs the
+// Tesseract engine locally in a worker thread. English language data ships in
+// the @tesseract.js-data/eng package, so nothing is downloaded at runtime.
+// For other OCR_LANGUAGES set OCR_LANG_PATH to a directory (or URL) holding
+// <lang>.traineddata.gz files; without it they come from the jsDelivr CDN.
+//
+// Scanned PDF pages are rendered to PNG with pdf-parse before recognition.
+
+const bundledLangPath = () => {
+  try {
+    return path.join(path.dirname(require.resolve('@tesseract.js-data/eng')), '4.0.0_best_int');
+  } catch (err) {
+    return undefined;
+  }
+};
+
+const resolveOCRConfig = (env = process.env) => {
+  const languages = (env.OCR_LANGUAGES || 'eng').split(/[+,]/).map(lang => lang.trim()).filter(Boolean).join('+');
+
+  return {
+    enabled: env.OCR_ENABLED !== 'false',
+    languages,
+    langPath: env.OCR_LANG_PATH || (languages === 'eng' ? bundledLangPath() : undefined),
+    maxPages: parseInt(env.OCR_MAX_PAGES, 10) || 20,
+    renderScale: parseFloat(env.OCR_RENDER_SCALE) || 2,
+    idleTimeout: parseInt(env.OCR_IDLE_MS, 10) || 5 * 60 * 1000
+  };
+};
+
+const createOCR = (config = resolveOCRConfig()) => {
+  let workerPromise = null;
+  let idleTimer = null;
+  let activeJobs = 0;
+
+  const getWorker = () => {
+    if (!workerPromise) {
+      console.log(`Loading OCR worker (${config.languages})...`);
+      workerPromise = Tesseract.createWorker(config.languages, Tesseract.OEM.LSTM_ONLY, {
+        langPath: config.langPath,
+        gzip: true,
+        cacheMethod: 'none'
+      }).catch((err) => {
+        workerPromise = null;
+        throw err;
+      });
+    }
+    return workerPromise;
+  };
+
+  const terminate = async () => {
+    clearTimeout(idleTimer);
+    const pending = workerPromise;
+    workerPromise = null;
+    if (pending) {
+      const worker = await pending.catch(() => null);
+      await worker?.terminate();
+    }
+  };
+
+  // The worker keeps the language model in memory, so it is released when unused
+  const scheduleRelease = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      if (activeJobs > 0) return;
+      terminate().catch(err => console.error('Failed to stop OCR worker:', err.message));
+    }, config.idleTimeout);
+    idleTimer.unref?.();
+  };
+
+  // image: Buffer of a PNG/JPEG/WebP/BMP file -> { text, confidence }
+  const recognize = async (image) => {
+    if (!config.enabled) {
+      throw new Error('OCR is disabled (OCR_ENABLED=false)');
+    }
+
+    activeJobs++;
+    try {
+      const worker = await getWorker();
+      const { data } = await worker.recognize(image);
+      return { text: data.text.trim(), confidence: Math.round(data.confidence) };
+    } finally {
+      activeJobs--;
+      scheduleRelease();
+    }
+  };
+
+  // Renders up to maxPages pages and recognises them one at a time.
+  // onProgress(done, total) is called after each page.
+  const recognizePdf = async (buffer, { onProgress } = {}) => {
+    if (!config.enabled) {
+      throw new Error('OCR is disabled (OCR_ENABLED=false)');
+    }
+
+    const parser = new pdfParse.PDFParse({ data: buffer });
+    let screenshots;
+    try {
+      screenshots = await parser.getScreenshot({
+        scale: config.renderScale,
+        first: config.maxPages,
+        imageDataUrl: false
+      });
+    } finally {
+      await parser.destroy();
+    }
+
+    const pages = [];
+    for (const screenshot of screenshots.pages) {
+      const result = await recognize(Buffer.from(screenshot.data));
+      pages.push({ page: screenshot.pageNumber, ...result });
+      onProgress?.(pages.length, screenshots.pages.length);
+    }
+
+    const readPages = pages.filter(page => page.text);
+    const confidence = readPages.length > 0
+      ? Math.round(readPages.reduce((sum, page) => sum + page.confidence, 0) / readPages.length)
+      : 0;
+
+    return {
+      text: readPages.map(page => `Page ${page.page}:\n${page.text}`).join('\n\n'),
+      pages,
+      totalPages: screenshots.total,
+      confidence
+    };
+  };
+
+  return {
+    enabled: config.enabled,
+    languages: config.languages,
+    maxPages: config.maxPages,
+    recognize,
+    recognizePdf,
+    terminate
+  };
+};
+
+module.exports = {
+  resolveOCRConfig,
+  createOCR
+};
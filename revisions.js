@@ -0,0 +1,74 @@
+// ==================== REVISION DIFFS ====================
+//
+// Every change to a knowledge entry is kept as a revision: a snapshot of its
+// question and answer plus a word diff against the version before, written
+// like git's --word-diff: "Open 9 to [-5pm-]{+6pm+}".
+
+// Token pairs compared by the word diff; longer texts are shown as replaced
+const MAX_DIFF_CELLS = 250000;
+
+const tokenize = (text) => text.split(/(\s+)/).filter(Boolean);
+
+const wordDiff = (before, after) => {
+  if (before === after) return before;
+
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return `[-${before}-]{+${after}+}`;
+  }
+
+  // Longest common subsequence lengths of every pair of suffixes
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let output = '';
+  let removed = '';
+  let added = '';
+  const flush = () => {
+    if (removed) output += `[-${removed}-]`;
+    if (added) output += `{+${added}+}`;
+    removed = '';
+    added = '';
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      output += a[i];
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      added += b[j++];
+    } else {
+      removed += a[i++];
+    }
+  }
+  flush();
+
+  return output;
+};
+
+// "Q: ...\nA: ..." lines for the parts that changed, or null when nothing did
+const describeChange = (before, after) => {
+  const lines = [];
+  if (before.question !== after.question) {
+    lines.push(`Q: ${wordDiff(before.question, after.question)}`);
+  }
+  if (before.answer !== after.answer) {
+    lines.push(`A: ${wordDiff(before.answer, after.answer)}`);
+  }
+  return lines.length > 0 ? lines.join('\n') : null;
+};
+
+module.exports = {
+  wordDiff,
+  describeChange
+};
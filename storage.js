@@ -0,0 +1,613 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==================== STORAGE INTERFACE ====================
+//
+// Every backend returned by createStorage() exposes the same async methods:
+//
+//   getKnowledge(id)                      entry by id or null
+//   findByQuestion(question)              case-insensitive exact question match
+//   findByQuestionContaining(text)        first entry whose question contains text
+//   findByAnswerContaining(text)          newest entry whose answer/content contains text
+//   searchQuestions(words, limit)         entries whose question contains any of words
+//   searchKnowledge(text, limit)          entries whose question or answer contains text
+//   listKnowledge({ limit, orderBy, withEmbeddings, tags })
+//                                         tags: only entries that have all of them
+//   listKnowledgeAfter({ afterId, limit }) entries in id order, for paging through all of them
+//   listKnowledgePage({ offset, limit, category })
+//                                         one page of entries in id order, for browsing
+//   listUnembedded({ afterId, limit })    entries still missing a question embedding
+//   countKnowledge({ category })
+//   listCategories()                      [{ category, count }], null for uncategorized
+//   insertKnowledge(fields)               returns the stored entry
+//   updateKnowledge(id, fields)
+//   deleteKnowledge(id)
+//   saveMessage({ user_id, text, source })
+//   getSession(key)                       { data, expires_at } or null
+//   setSession(key, data, expiresAt)
+//   deleteSession(key)
+//   deleteExpiredSessions()
+//   getRole(userId)                       stored role row or null
+//   setRole(userId, role, grantedBy)
+//   deleteRole(userId)
+//   listRoles()
+//   addAuditLog({ user_id, action, entry_id, question, old_answer, new_answer, old_question? })
+//   listAuditLog(limit)                   newest first
+//   addRevision({ entry_id, action, question, answer, diff, user_id })
+//                                         numbers it per entry (1, 2, ...) and returns it
+//   listRevisions(entryId, limit)         newest first
+//   getRevision(entryId, revision)        revision or null
+//   getSetting(key)                       stored value or null
+//   setSetting(key, value)
+//   flush()                               resolves once pending writes are stored
+//
+// Entries are plain objects shaped like a knowledge_base row. A category
+// filter of null means entries without a category; leaving it out means all.
+
+const KNOWLEDGE_COLUMNS = 'id, question, answer, content, category, tags, created_at, updated_at';
+const EMBEDDING_COLUMNS = 'question_embedding, answer_embedding';
+
+// ==================== SUPABASE ADAPTER ====================
+
+// PostgREST treats these as pattern/filter syntax, so user text must not carry them
+const escapeLike = (text) => text.replace(/[\\%_]/g, match => `\\${match}`);
+const escapeFilterValue = (text) => `"${text.replace(/["\\]/g, match => `\\${match}`)}"`;
+
+// Postgres error code for a broken UNIQUE constraint
+const UNIQUE_VIOLATION = '23505';
+const REVISION_INSERT_ATTEMPTS = 5;
+
+// Named categories by name, then uncategorized entries
+const sortCategories = (counts) => [...counts.entries()]
+  .map(([category, count]) => ({ category, count }))
+  .sort((a, b) => (a.category === null) - (b.category === null) || (a.category || '').localeCompare(b.category || ''));
+
+const createSupabaseStorage = (client) => {
+  const table = () => client.from('knowledge_base');
+
+  const first = async (query) => {
+    const { data, error } = await query.limit(1);
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  };
+
+  const many = async (query) => {
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  };
+
+  const withCategory = (query, category) => {
+    if (category === undefined) return query;
+    return category === null ? query.is('category', null) : query.eq('category', category);
+  };
+
+  return {
+    name: 'supabase',
+
+    getKnowledge: (id) => first(
+      table().select(KNOWLEDGE_COLUMNS).eq('id', id)
+    ),
+
+    findByQuestion: (question) => first(
+      table().select(KNOWLEDGE_COLUMNS).ilike('question', escapeLike(question))
+    ),
+
+    findByQuestionContaining: (text) => first(
+      table().select(KNOWLEDGE_COLUMNS).ilike('question', `%${escapeLike(text)}%`)
+    ),
+
+    findByAnswerContaining: (text) => {
+      const pattern = escapeFilterValue(`%${escapeLike(text)}%`);
+      return first(
+        table()
+          .select(KNOWLEDGE_COLUMNS)
+          .or(`answer.ilike.${pattern},content.ilike.${pattern}`)
+          .order('created_at', { ascending: false })
+      );
+    },
+
+    searchQuestions: (words, limit = 3) => many(
+      table()
+        .select(KNOWLEDGE_COLUMNS)
+        .or(words.map(w => `question.ilike.${escapeFilterValue(`%${escapeLike(w)}%`)}`).join(','))
+        .limit(limit)
+    ),
+
+    searchKnowledge: (text, limit = 2) => {
+      const pattern = escapeFilterValue(`%${escapeLike(text)}%`);
+      return many(
+        table()
+          .select(KNOWLEDGE_COLUMNS)
+          .or(`answer.ilike.${pattern},question.ilike.${pattern}`)
+          .limit(limit)
+      );
+    },
+
+    listKnowledge: ({ limit = 100, orderBy = null, withEmbeddings = false, tags = [] } = {}) => {
+      let query = table()
+        .select(withEmbeddings ? `${KNOWLEDGE_COLUMNS}, ${EMBEDDING_COLUMNS}` : KNOWLEDGE_COLUMNS)
+        .not('question', 'is', null);
+
+      if (withEmbeddings) {
+        query = query.not('question_embedding', 'is', null);
+      }
+      if (tags.length > 0) {
+        query = query.contains('tags', tags);
+      }
+      if (orderBy) {
+        query = query.order(orderBy);
+      }
+
+      return many(query.limit(limit));
+    },
+
+    listKnowledgeAfter: ({ afterId = 0, limit = 500 } = {}) => many(
+      table()
+        .select(KNOWLEDGE_COLUMNS)
+        .not('question', 'is', null)
+        .gt('id', afterId)
+        .order('id', { ascending: true })
+        .limit(limit)
+    ),
+
+    listKnowledgePage: ({ offset = 0, limit = 10, category } = {}) => many(
+      withCategory(table().select(KNOWLEDGE_COLUMNS), category)
+        .not('question', 'is', null)
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1)
+    ),
+
+    listUnembedded: ({ afterId = 0, limit = 25 } = {}) => many(
+      table()
+        .select(KNOWLEDGE_COLUMNS)
+        .is('question_embedding', null)
+        .not('question', 'is', null)
+        .gt('id', afterId)
+        .order('id', { ascending: true })
+        .limit(limit)
+    ),
+
+    countKnowledge: async ({ category } = {}) => {
+      const query = table().select('*', { count: 'exact', head: true });
+      const { count, error } = await (category === undefined ? query : withCategory(query.not('question', 'is', null), category));
+      if (error) throw error;
+      return count || 0;
+    },
+
+    // PostgREST cannot group, so categories are counted here a page of rows at a time
+    listCategories: async () => {
+      const counts = new Map();
+      const pageSize = 1000;
+
+      for (let offset = 0; ; offset += pageSize) {
+        const rows = await many(
+          table().select('category').not('question', 'is', null).order('id').range(offset, offset + pageSize - 1)
+        );
+        rows.forEach(row => counts.set(row.category || null, (counts.get(row.category || null) || 0) + 1));
+        if (rows.length < pageSize) break;
+      }
+
+      return sortCategories(counts);
+    },
+
+    insertKnowledge: async (fields) => {
+      const { data, error } = await table().insert([fields]).select(KNOWLEDGE_COLUMNS);
+      if (error) throw error;
+      return data && data[0] ? data[0] : fields;
+    },
+
+    updateKnowledge: async (id, fields) => {
+      const { error } = await table().update(fields).eq('id', id);
+      if (error) throw error;
+    },
+
+    deleteKnowledge: async (id) => {
+      const { error } = await table().delete().eq('id', id);
+      if (error) throw error;
+    },
+
+    saveMessage: async (message) => {
+      const { error } = await client.from('messages').insert([message]);
+      if (error) throw error;
+    },
+
+    getSession: async (key) => {
+      const { data, error } = await client
+        .from('bot_sessions')
+        .select('data, expires_at')
+        .eq('key', key)
+        .limit(1);
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    },
+
+    setSession: async (key, data, expiresAt) => {
+      const { error } = await client
+        .from('bot_sessions')
+        .upsert([{ key, data, expires_at: expiresAt, updated_at: new Date().toISOString() }], { onConflict: 'key' });
+      if (error) throw error;
+    },
+
+    deleteSession: async (key) => {
+      const { error } = await client.from('bot_sessions').delete().eq('key', key);
+      if (error) throw error;
+    },
+
+    deleteExpiredSessions: async () => {
+      const { error } = await client
+        .from('bot_sessions')
+        .delete()
+        .lt('expires_at', new Date().toISOString());
+      if (error) throw error;
+    },
+
+    getRole: async (userId) => {
+      const { data, error } = await client
+        .from('bot_roles')
+        .select('user_id, role, granted_by, granted_at')
+        .eq('user_id', String(userId))
+        .limit(1);
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    },
+
+    setRole: async (userId, role, grantedBy) => {
+      const { error } = await client
+        .from('bot_roles')
+        .upsert([{
+          user_id: String(userId),
+          role,
+          granted_by: grantedBy != null ? String(grantedBy) : null,
+          granted_at: new Date().toISOString()
+        }], { onConflict: 'user_id' });
+      if (error) throw error;
+    },
+
+    deleteRole: async (userId) => {
+      const { error } = await client.from('bot_roles').delete().eq('user_id', String(userId));
+      if (error) throw error;
+    },
+
+    listRoles: () => many(
+      client.from('bot_roles').select('user_id, role, granted_by, granted_at').order('role')
+    ),
+
+    addAuditLog: async (entry) => {
+      const { error } = await client
+        .from('kb_audit_log')
+        .insert([{ ...entry, created_at: new Date().toISOString() }]);
+      if (error) throw error;
+    },
+
+    listAuditLog: (limit = 10) => many(
+      client
+        .from('kb_audit_log')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit)
+    ),
+
+    // Two changes to one entry can read the same latest number. UNIQUE
+    // (entry_id, revision) rejects the second insert, which then tries the next one.
+    addRevision: async (fields) => {
+      for (let attempt = 1; ; attempt++) {
+        const latest = await first(
+          client.from('kb_revisions').select('revision').eq('entry_id', fields.entry_id).order('revision', { ascending: false })
+        );
+        const { data, error } = await client
+          .from('kb_revisions')
+          .insert([{ ...fields, revision: (latest?.revision || 0) + 1, created_at: new Date().toISOString() }])
+          .select('*');
+        if (!error) return data[0];
+        if (error.code !== UNIQUE_VIOLATION || attempt >= REVISION_INSERT_ATTEMPTS) throw error;
+      }
+    },
+
+    listRevisions: (entryId, limit = 10) => many(
+      client
+        .from('kb_revisions')
+        .select('*')
+        .eq('entry_id', entryId)
+        .order('revision', { ascending: false })
+        .limit(limit)
+    ),
+
+    getRevision: (entryId, revision) => first(
+      client.from('kb_revisions').select('*').eq('entry_id', entryId).eq('revision', revision)
+    ),
+
+    getSetting: async (key) => {
+      const { data, error } = await client
+        .from('bot_settings')
+        .select('value')
+        .eq('key', key)
+        .limit(1);
+      if (error) throw error;
+      return data && data.length > 0 ? data[0].value : null;
+    },
+
+    setSetting: async (key, value) => {
+      const { error } = await client
+        .from('bot_settings')
+        .upsert([{ key, value, updated_at: new Date().toISOString() }], { onConflict: 'key' });
+      if (error) throw error;
+    },
+
+    flush: async () => {}
+  };
+};
+
+// ==================== LOCAL FILE ADAPTER ====================
+
+const createLocalStorage = (filePath) => {
+  let state = { nextId: 1, knowledge_base: [], messages: [], sessions: {}, roles: {}, audit_log: [], revisions: [], settings: {} };
+
+  if (fs.existsSync(filePath)) {
+    state = { ...state, ...JSON.parse(fs.readFileSync(filePath, 'utf-8')) };
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  // Writes are chained so concurrent handlers never interleave partial files
+  let pendingWrite = Promise.resolve();
+  const persist = () => {
+    pendingWrite = pendingWrite.catch(() => {}).then(async () => {
+      const tmpFile = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpFile, JSON.stringify(state));
+      await fs.promises.rename(tmpFile, filePath);
+    });
+    return pendingWrite;
+  };
+
+  const rows = () => state.knowledge_base;
+  const contains = (value, text) => (value || '').toLowerCase().includes(text.toLowerCase());
+  const withoutEmbeddings = ({ question_embedding, answer_embedding, ...entry }) => entry;
+  const newestFirst = (a, b) => (b.created_at || '').localeCompare(a.created_at || '');
+  const inCategory = (row, category) => category === undefined || (row.category || null) === category;
+
+  return {
+    name: 'local',
+
+    getKnowledge: async (id) => {
+      const match = rows().find(row => String(row.id) === String(id));
+      return match ? withoutEmbeddings(match) : null;
+    },
+
+    findByQuestion: async (question) => {
+      const match = rows().find(row => (row.question || '').toLowerCase() === question.toLowerCase());
+      return match ? withoutEmbeddings(match) : null;
+    },
+
+    findByQuestionContaining: async (text) => {
+      const match = rows().find(row => contains(row.question, text));
+      return match ? withoutEmbeddings(match) : null;
+    },
+
+    findByAnswerContaining: async (text) => {
+      const match = rows()
+        .filter(row => contains(row.answer, text) || contains(row.content, text))
+        .sort(newestFirst)[0];
+      return match ? withoutEmbeddings(match) : null;
+    },
+
+    searchQuestions: async (words, limit = 3) => rows()
+      .filter(row => words.some(w => contains(row.question, w)))
+      .slice(0, limit)
+      .map(withoutEmbeddings),
+
+    searchKnowledge: async (text, limit = 2) => rows()
+      .filter(row => contains(row.answer, text) || contains(row.question, text))
+      .slice(0, limit)
+      .map(withoutEmbeddings),
+
+    listKnowledge: async ({ limit = 100, orderBy = null, withEmbeddings = false, tags = [] } = {}) => {
+      let result = rows().filter(row => row.question);
+
+      if (withEmbeddings) {
+        result = result.filter(row => row.question_embedding);
+      }
+      if (tags.length > 0) {
+        result = result.filter(row => tags.every(tag => (row.tags || []).includes(tag)));
+      }
+      if (orderBy) {
+        result = [...result].sort((a, b) => String(a[orderBy] ?? '').localeCompare(String(b[orderBy] ?? '')));
+      }
+
+      result = result.slice(0, limit);
+      return withEmbeddings ? result.map(row => ({ ...row })) : result.map(withoutEmbeddings);
+    },
+
+    listKnowledgeAfter: async ({ afterId = 0, limit = 500 } = {}) => rows()
+      .filter(row => row.question && row.id > afterId)
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map(withoutEmbeddings),
+
+    listKnowledgePage: async ({ offset = 0, limit = 10, category } = {}) => rows()
+      .filter(row => row.question && inCategory(row, category))
+      .sort((a, b) => a.id - b.id)
+      .slice(offset, offset + limit)
+      .map(withoutEmbeddings),
+
+    listUnembedded: async ({ afterId = 0, limit = 25 } = {}) => rows()
+      .filter(row => row.question && !row.question_embedding && row.id > afterId)
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map(withoutEmbeddings),
+
+    countKnowledge: async ({ category } = {}) => (category === undefined
+      ? rows().length
+      : rows().filter(row => row.question && inCategory(row, category)).length),
+
+    listCategories: async () => {
+      const counts = new Map();
+      rows()
+        .filter(row => row.question)
+        .forEach(row => counts.set(row.category || null, (counts.get(row.category || null) || 0) + 1));
+      return sortCategories(counts);
+    },
+
+    insertKnowledge: async (fields) => {
+      const entry = { id: state.nextId++, ...fields };
+      rows().push(entry);
+      await persist();
+      return withoutEmbeddings(entry);
+    },
+
+    updateKnowledge: async (id, fields) => {
+      const entry = rows().find(row => String(row.id) === String(id));
+      if (!entry) throw new Error(`Knowledge entry ${id} not found`);
+      Object.assign(entry, fields);
+      await persist();
+    },
+
+    deleteKnowledge: async (id) => {
+      state.knowledge_base = rows().filter(row => String(row.id) !== String(id));
+      await persist();
+    },
+
+    saveMessage: async (message) => {
+      state.messages.push({ id: state.nextId++, created_at: new Date().toISOString(), ...message });
+      await persist();
+    },
+
+    // Read and stored as copies so in-memory edits only land through the next set
+    getSession: async (key) => (state.sessions[key] ? JSON.parse(JSON.stringify(state.sessions[key])) : null),
+
+    setSession: async (key, data, expiresAt) => {
+      state.sessions[key] = { data: JSON.parse(JSON.stringify(data)), expires_at: expiresAt };
+      await persist();
+    },
+
+    deleteSession: async (key) => {
+      delete state.sessions[key];
+      await persist();
+    },
+
+    deleteExpiredSessions: async () => {
+      const now = new Date().toISOString();
+      for (const [key, session] of Object.entries(state.sessions)) {
+        if (session.expires_at && session.expires_at < now) {
+          delete state.sessions[key];
+        }
+      }
+      await persist();
+    },
+
+    getRole: async (userId) => state.roles[String(userId)] || null,
+
+    setRole: async (userId, role, grantedBy) => {
+      state.roles[String(userId)] = {
+        user_id: String(userId),
+        role,
+        granted_by: grantedBy != null ? String(grantedBy) : null,
+        granted_at: new Date().toISOString()
+      };
+      await persist();
+    },
+
+    deleteRole: async (userId) => {
+      delete state.roles[String(userId)];
+      await persist();
+    },
+
+    listRoles: async () => Object.values(state.roles)
+      .sort((a, b) => a.role.localeCompare(b.role)),
+
+    addAuditLog: async (entry) => {
+      state.audit_log.push({ id: state.nextId++, ...entry, created_at: new Date().toISOString() });
+      await persist();
+    },
+
+    listAuditLog: async (limit = 10) => state.audit_log.slice(-limit).reverse(),
+
+    addRevision: async (fields) => {
+      const entryId = String(fields.entry_id);
+      const revision = state.revisions.filter(row => String(row.entry_id) === entryId).length + 1;
+      const stored = { id: state.nextId++, ...fields, revision, created_at: new Date().toISOString() };
+      state.revisions.push(stored);
+      await persist();
+      return { ...stored };
+    },
+
+    listRevisions: async (entryId, limit = 10) => state.revisions
+      .filter(row => String(row.entry_id) === String(entryId))
+      .slice(-limit)
+      .reverse(),
+
+    getRevision: async (entryId, revision) => state.revisions
+      .find(row => String(row.entry_id) === String(entryId) && row.revision === Number(revision)) || null,
+
+    getSetting: async (key) => (key in state.settings ? state.settings[key] : null),
+
+    setSetting: async (key, value) => {
+      state.settings[key] = value;
+      await persist();
+    },
+
+    flush: () => pendingWrite
+  };
+};
+
+// ==================== SESSION STORE ====================
+
+// Adapts a storage backend to the { get, set, delete } store Telegraf's session() expects
+const createSessionStore = (backend, ttlMs) => ({
+  get: async (key) => {
+    try {
+      const session = await backend.getSession(key);
+      if (!session) return undefined;
+
+      if (session.expires_at && Date.parse(session.expires_at) < Date.now()) {
+        await backend.deleteSession(key);
+        return undefined;
+      }
+
+      return session.data;
+    } catch (err) {
+      console.error(`Failed to load session ${key}:`, err.message || err);
+      return undefined;
+    }
+  },
+
+  set: async (key, value) => {
+    try {
+      await backend.setSession(key, value, new Date(Date.now() + ttlMs).toISOString());
+    } catch (err) {
+      console.error(`Failed to save session ${key}:`, err.message || err);
+    }
+  },
+
+  delete: async (key) => {
+    try {
+      await backend.deleteSession(key);
+    } catch (err) {
+      console.error(`Failed to delete session ${key}:`, err.message || err);
+    }
+  }
+});
+
+// ==================== BACKEND SELECTION ====================
+
+const createStorage = ({ backend, supabaseUrl, supabaseKey, localPath } = {}) => {
+  if (backend === 'local') {
+    return createLocalStorage(localPath);
+  }
+
+  if (backend === 'supabase') {
+    if (!supabaseUrl || !supabaseKey) return null;
+
+    const { createClient } = require('@supabase/supabase-js');
+    return createSupabaseStorage(createClient(supabaseUrl, supabaseKey));
+  }
+
+  throw new Error(`Unknown storage backend: ${backend}`);
+};
+
+module.exports = {
+  createStorage,
+  createSessionStore,
+  createSupabaseStorage,
+  createLocalStorage
+};
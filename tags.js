@@ -0,0 +1,94 @@
+// ==================== CATEGORIES & TAGS ====================
+//
+// Knowledge entries carry hashtags: "/add Refund window? || 30 days #billing
+// #refunds". All of them are the entry's tags and the first one is also its
+// category, which /faq groups by. Tags are stored normalized: lowercase
+// letters, digits and dashes, so #Billing and #billing are the same tag.
+
+const TAG_LIMITS = {
+  maxTags: 8,
+  // UTF-8 bytes, so a category still fits in a button's 64 bytes of callback data
+  maxBytes: 48
+};
+
+// Starting with a letter, so "#1" or "#42" in a question is not a tag
+const HASHTAG = /#(\p{L}[\p{L}\p{N}_-]*)/gu;
+const TRAILING_HASHTAGS = /(?:^|\s+)(?:#\p{L}[\p{L}\p{N}_-]*\s*)+$/u;
+
+const truncateBytes = (text, maxBytes) => {
+  let result = '';
+  for (const char of text) {
+    if (Buffer.byteLength(result + char) > maxBytes) break;
+    result += char;
+  }
+  return result;
+};
+
+const normalizeTag = (tag) => truncateBytes(String(tag || '')
+  .toLowerCase()
+  .replace(/^#/, '')
+  .replace(/[\s_]+/g, '-')
+  .replace(/[^\p{L}\p{N}-]/gu, '')
+  .replace(/-+/g, '-')
+  .replace(/^-/, ''), TAG_LIMITS.maxBytes)
+  .replace(/-$/, '');
+
+// Normalized, without repeats, in their original order
+const normalizeTags = (tags) => [...new Set((tags || []).map(normalizeTag).filter(Boolean))]
+  .slice(0, TAG_LIMITS.maxTags);
+
+// Hashtags at the end of text -> { text without them, tags }
+const takeTrailingHashtags = (text) => {
+  const match = text.match(TRAILING_HASHTAGS);
+  if (!match) return { text, tags: [] };
+
+  return {
+    text: text.slice(0, match.index).trim(),
+    tags: normalizeTags([...match[0].matchAll(HASHTAG)].map(found => found[1]))
+  };
+};
+
+// Hashtags anywhere in text -> { text without them, tags }
+const takeHashtags = (text) => ({
+  text: text.replace(HASHTAG, ' ').replace(/\s+/g, ' ').trim(),
+  tags: normalizeTags([...text.matchAll(HASHTAG)].map(found => found[1]))
+});
+
+// The knowledge_base columns for a list of tags
+const tagFields = (tags) => {
+  const normalized = normalizeTags(tags);
+  return { category: normalized[0] || null, tags: normalized };
+};
+
+const formatTags = (tags) => (tags || []).map(tag => `#${tag}`).join(' ');
+
+const sameTags = (a, b) => formatTags(a) === formatTags(b);
+
+// Reads { "category": "...", "tags": [...] } out of an LLM reply, which may
+// wrap it in prose or a code fence -> tags with the category first, or null
+const parseTagSuggestion = (reply) => {
+  const json = (reply || '').match(/\{[\s\S]*\}/);
+  if (!json) return null;
+
+  let data;
+  try {
+    data = JSON.parse(json[0]);
+  } catch (err) {
+    return null;
+  }
+
+  const tags = normalizeTags([data.category, ...(Array.isArray(data.tags) ? data.tags : [])]);
+  return tags.length > 0 ? tags : null;
+};
+
+module.exports = {
+  TAG_LIMITS,
+  normalizeTag,
+  normalizeTags,
+  takeTrailingHashtags,
+  takeHashtags,
+  tagFields,
+  formatTags,
+  sameTags,
+  parseTagSuggestion
+};
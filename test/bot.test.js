@@ -0,0 +1,962 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+let harness;
+
+beforeEach(() => {
+  harness = createHarness();
+});
+
+afterEach(async () => {
+  await harness.cleanup();
+});
+
+test('/add stores a new entry and updates it on repeat', async () => {
+  await harness.sendText('/add What are your store hours? || 9am to 5pm');
+  assert.match(harness.lastReply(), /Added: "What are your store hours\?"/);
+
+  await harness.sendText('/add what are your store hours? || 8am to 6pm');
+  assert.match(harness.lastReply(), /Updated: "What are your store hours\?"/);
+
+  const entry = await harness.storage.findByQuestion('what are your store hours?');
+  assert.strictEqual(entry.answer, '8am to 6pm');
+  assert.strictEqual(await harness.storage.countKnowledge(), 1);
+});
+
+test('/add without a payload shows usage', async () => {
+  await harness.sendText('/add');
+  assert.match(harness.lastReply(), /Usage/);
+});
+
+test('/search answers from the knowledge base with text and voice', async () => {
+  await harness.sendText('/add How do I reset my password? || Click "Forgot Password" on the login page');
+  harness.reset();
+
+  await harness.sendText('/search how do i reset my password?');
+  assert.match(harness.replies()[0], /Found:[\s\S]*Forgot Password/);
+  assert.strictEqual(harness.sent('sendVoice').length, 1);
+  assert.strictEqual(harness.sent('llm').length, 0);
+});
+
+test('entries without embeddings are still found by keyword scoring', async () => {
+  await harness.storage.insertKnowledge({ question: 'Where is the legacy office?', answer: 'In the old town', tags: ['legacy'] });
+  harness.reset();
+
+  await harness.sendText('/search #legacy legacy office location');
+  assert.match(harness.lastReply(), /Found:[\s\S]*In the old town/);
+});
+
+test('entries awaiting embeddings are found next to embedded ones', async () => {
+  await harness.sendText('/add What are your store hours? || 9am to 5pm');
+  await harness.storage.insertKnowledge({ question: 'Where is the parking garage?', answer: 'Behind the building' });
+  harness.reset();
+
+  await harness.sendText('/search where is the parking garage located');
+  assert.match(harness.lastReply(), /Found:[\s\S]*Behind the building/);
+
+  await harness.sendText('/search what are your store hours today');
+  assert.match(harness.lastReply(), /Found:[\s\S]*9am to 5pm/);
+  assert.strictEqual(harness.sent('llm').length, 0);
+});
+
+test('/search falls back to the AI when nothing matches', async () => {
+  harness.fakes.aiAnswer = 'Quantum answer';
+  await harness.sendText('/search quantum chromodynamics');
+
+  assert.ok(harness.replies().includes('Not found in knowledge base. Asking AI...'));
+  assert.match(harness.lastReply(), /Quantum answer\n\nSources: none, this answer is not from the knowledge base$/);
+  assert.strictEqual(harness.sent('llm').length, 1);
+});
+
+test('/mode switches text queries to AI mode', async () => {
+  await harness.sendText('/mode');
+  const menu = harness.sent('sendMessage').slice(-1)[0].payload;
+  const buttons = menu.reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+  assert.ok(buttons.includes('mode_text_ai'));
+
+  await harness.pressButton('mode_text_ai');
+  assert.match(harness.lastReply(), /Text queries: \*\*AI Mode\*\*/);
+
+  harness.reset();
+  await harness.sendText('Tell me something interesting');
+  assert.strictEqual(harness.sent('llm').length, 1);
+  assert.match(harness.replies()[0], /AI Response/);
+
+  await harness.pressButton('mode_text_kb');
+});
+
+test('text messages are answered from the knowledge base', async () => {
+  await harness.sendText('/add What is the refund policy? || 30-day refunds');
+  harness.reset();
+
+  await harness.sendText('What is the refund policy?');
+  assert.match(harness.replies()[0], /Knowledge Base:[\s\S]*30-day refunds/);
+  assert.strictEqual(harness.sent('sendVoice').length, 1);
+
+  const saved = JSON.parse(require('fs').readFileSync(process.env.LOCAL_STORAGE_PATH, 'utf-8'));
+  assert.ok(saved.messages.some(message => message.text === 'What is the refund policy?' && message.source === 'text'));
+});
+
+test('knowledge base answers name their entry and open it from a button', async () => {
+  await harness.sendText('/add What is the refund policy? || 30-day refunds');
+  const entry = await harness.storage.findByQuestion('what is the refund policy?');
+  harness.reset();
+
+  await harness.sendText('What is the refund policy?');
+  const answer = harness.sent('sendMessage')[0].payload;
+  assert.match(answer.text, new RegExp(`30-day refunds\n\nSources: #${entry.id} What is the refund policy\\?$`));
+  assert.deepStrictEqual(answer.reply_markup.inline_keyboard.flat().map(button => button.callback_data), [`src_kb_${entry.id}`]);
+
+  await harness.pressButton(`src_kb_${entry.id}`);
+  assert.match(harness.lastReply(), new RegExp(`Source #${entry.id}</b>\n\n<b>Q:</b> What is the refund policy\\?\n\n<b>A:</b> 30-day refunds`));
+  assert.strictEqual(harness.sent('deleteMessage').length, 0);
+
+  await harness.pressButton('src_kb_999999');
+  assert.match(harness.lastReply(), /no longer in the knowledge base/);
+});
+
+test('AI answers list the knowledge entries given as context', async () => {
+  await harness.sendText('/add Warranty length || Two years on all devices');
+  const entry = await harness.storage.findByQuestion('warranty length');
+  await harness.pressButton('mode_text_ai');
+  harness.reset();
+  harness.fakes.aiAnswer = 'You get two years.';
+
+  await harness.sendText('Warranty length');
+  assert.match(harness.sent('llm')[0].payload.messages.map(message => message.content).join('\n'), /Two years on all devices/);
+  assert.match(harness.lastReply(), new RegExp(`You get two years\\.\n\nSources: #${entry.id} Warranty length$`));
+
+  await harness.pressButton('mode_text_kb');
+});
+
+test('voice messages are transcribed and answered', async () => {
+  await harness.sendText('/add hello || Hi there, how can I help?');
+  harness.reset();
+  harness.fakes.transcript = 'hello';
+
+  await harness.sendVoice();
+  const replies = harness.replies();
+  assert.ok(replies.includes('**You said:** hello'));
+  assert.match(replies.slice(-1)[0], /Hi there, how can I help\?/);
+  assert.strictEqual(harness.sent('sendVoice').length, 1);
+});
+
+test('document upload offers actions and answers questions from its chunks', async () => {
+  const content = 'Warranty terms. '.repeat(200) + 'The service hotline number is 555-0100. ' + 'Shipping details. '.repeat(200);
+  await harness.sendDocument('manual.txt', 'text/plain', content);
+
+  const menu = harness.sent('sendMessage').slice(-1)[0].payload;
+  assert.match(menu.text, /What would you like to do with "manual.txt"/);
+  assert.ok(harness.replies().some(reply => /Indexed into \d+ sections/.test(reply)));
+
+  // The pending document survives a restart, which empties the in-memory index
+  harness = await harness.restart();
+  await harness.pressButton('doc_ask');
+  assert.match(harness.lastReply(), /Please ask your question about "manual.txt"/);
+
+  harness.reset();
+  harness.fakes.aiAnswer = 'Call 555-0100';
+  await harness.sendText('What is the service hotline number?');
+
+  const prompt = harness.sent('llm')[0].payload.messages.slice(-1)[0].content;
+  assert.match(prompt, /555-0100/);
+  assert.ok(prompt.length < content.length);
+  assert.match(harness.replies().slice(-1)[0], /Call 555-0100/);
+});
+
+test('document answers cite the pages their excerpts came from', async () => {
+  const pages = ['Welcome to the manual. '.repeat(60), 'Returns are accepted within 30 days with a receipt. '.repeat(20), 'Shipping is free over $50. '.repeat(40)];
+  await harness.sendDocument('manual.txt', 'text/plain', pages.join('\f'));
+
+  await harness.pressButton('doc_ask');
+  harness.reset();
+  harness.fakes.aiAnswer = 'Within 30 days [p. 2].';
+  await harness.sendText('How long do I have to return an item?');
+
+  const prompt = harness.sent('llm')[0].payload.messages.slice(-1)[0].content;
+  assert.match(prompt, /Cite the page of each fact/);
+  assert.match(prompt, /\[Excerpt 1 - p\. 1\]\nWelcome/);
+  assert.match(prompt, /\[Excerpt 2 - pp\. 1-2\]\n[^[]*Returns are accepted/);
+  assert.match(harness.lastReply(), /Within 30 days \[p\. 2\]\.\n\nSources: manual\.txt, pp\. 1-3$/);
+
+  const buttons = harness.sent('editMessageText').slice(-1)[0].payload.reply_markup.inline_keyboard.flat();
+  assert.strictEqual(buttons[1].text, 'manual.txt, pp. 1-2');
+  await harness.pressButton(buttons[1].callback_data);
+  assert.match(harness.lastReply(), /^<b>manual\.txt, pp\. 1-2<\/b>\n\n[^]*Returns are accepted/);
+});
+
+test('knowledge saved from a document keeps its page numbers', async () => {
+  await harness.sendDocument('policy.txt', 'text/plain', 'Opening hours are 9 to 5.\fRefunds take 5 days.');
+  await harness.pressButton('doc_save');
+
+  const entry = await harness.storage.findByQuestion('Content from: policy.txt');
+  assert.strictEqual(entry.answer, 'Document: policy.txt (pp. 1-2)\n\nKey content:\n[p. 1] Opening hours are 9 to 5. [p. 2] Refunds take 5 days.');
+});
+
+test('document actions require an uploaded document', async () => {
+  await harness.pressButton('doc_summarize');
+  assert.match(harness.lastReply(), /Please upload the document again/);
+});
+
+test('CSV files sent without a MIME type are recognised by their extension', async () => {
+  await harness.sendDocument('prices.csv', 'application/octet-stream', 'Plan,Price\nBasic,$5\nPro,$20\n');
+
+  assert.ok(harness.replies().some(reply => /Extracted \d+ characters from 2 rows/.test(reply)));
+  assert.match(harness.lastReply(), /What would you like to do with "prices.csv"/);
+
+  harness.reset();
+  await harness.pressButton('doc_extract');
+  const prompt = harness.sent('llm')[0].payload.messages.slice(-1)[0].content;
+  assert.match(prompt, /Row 2: Plan: Pro; Price: \$20/);
+});
+
+test('photos are read with OCR and open the document actions', async () => {
+  harness.fakes.ocrText = 'Receipt\nCoffee 3.50\nTOTAL 12.50';
+  await harness.sendPhoto();
+
+  assert.strictEqual(harness.sent('ocr').length, 1);
+  assert.ok(!harness.sent('getFile')[0].payload.file_id.endsWith('-s'), 'expected the largest photo size');
+  assert.ok(harness.replies().some(reply => /Extracted \d+ characters with OCR\nOCR confidence: 87%/.test(reply)));
+  assert.match(harness.lastReply(), /What would you like to do with "photo-\d+\.jpg"/);
+
+  harness.reset();
+  await harness.pressButton('doc_ask');
+  await harness.sendText('What was the total?');
+  assert.match(harness.sent('llm')[0].payload.messages.slice(-1)[0].content, /TOTAL 12\.50/);
+});
+
+test('images uploaded as files are read with OCR', async () => {
+  await harness.sendDocument('notice.png', 'image/png', 'png');
+  assert.strictEqual(harness.sent('ocr').length, 1);
+  assert.match(harness.lastReply(), /What would you like to do with "notice.png"/);
+
+  harness.reset();
+  harness.fakes.ocrText = '   ';
+  await harness.sendDocument('blank.jpg', 'application/octet-stream', 'jpg');
+  assert.match(harness.lastReply(), /couldn't recognise any text, even with OCR/);
+});
+
+test('unsupported documents are rejected', async () => {
+  await harness.sendDocument('photo.bmp', 'image/bmp', 'BM');
+  assert.match(harness.lastReply(), /Unsupported file type: image\/bmp/);
+});
+
+test('AI answers carry the recent conversation and /reset clears it', async () => {
+  await harness.pressButton('mode_text_ai');
+  await harness.sendText('/reset');
+  harness.reset();
+
+  harness.fakes.aiAnswer = 'The Pro plan costs $20 per month.';
+  await harness.sendText('How much is the Pro plan?');
+  harness.fakes.aiAnswer = 'Refunds are available within 30 days.';
+  await harness.sendText('and what about refunds?');
+
+  const followUp = harness.sent('llm')[1].payload.messages;
+  assert.deepStrictEqual(followUp.slice(1, 3), [
+    { role: 'user', content: 'How much is the Pro plan?' },
+    { role: 'assistant', content: 'The Pro plan costs $20 per month.' }
+  ]);
+
+  await harness.sendText('/reset');
+  assert.match(harness.lastReply(), /Conversation memory cleared/);
+
+  harness.reset();
+  await harness.sendText('Fresh question');
+  assert.strictEqual(harness.sent('llm')[0].payload.messages.length, 2);
+
+  await harness.sendText('/reset');
+  await harness.pressButton('mode_text_kb');
+});
+
+test('older turns are summarised once the history window fills', async () => {
+  await harness.pressButton('mode_text_ai');
+  await harness.sendText('/reset');
+  harness.reset();
+
+  harness.fakes.aiAnswer = 'A long answer. '.repeat(150);
+  for (let i = 0; i < 2; i++) {
+    await harness.sendText(`Long question number ${i}`);
+  }
+
+  // Hold the summary back: the answer is sent and the session saved without it
+  let releaseSummary;
+  harness.fakes.beforeAiReply = (body) => /Summarize this conversation/.test(body.messages.slice(-1)[0].content)
+    ? new Promise(resolve => { releaseSummary = resolve; })
+    : null;
+  const answered = harness.sendText('Long question number 2');
+  while (!releaseSummary) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  assert.strictEqual(harness.sent('sendVoice').length, 3);
+  const saved = await harness.storage.getSession('42:42');
+  assert.strictEqual(saved.data.history.length, 6);
+  assert.strictEqual(saved.data.historySummary, undefined);
+
+  releaseSummary();
+  await answered;
+  const compacted = await harness.storage.getSession('42:42');
+  assert.strictEqual(compacted.data.history.length, 4);
+  assert.match(compacted.data.historySummary, /A long answer/);
+
+  harness.reset();
+  harness.fakes.aiAnswer = 'Short answer';
+  await harness.sendText('One more question');
+  const messages = harness.sent('llm')[0].payload.messages;
+  assert.ok(messages.some(message => message.role === 'system' && /Summary of the earlier conversation/.test(message.content)));
+
+  await harness.sendText('/reset');
+  await harness.pressButton('mode_text_kb');
+});
+
+test('session state is persisted to storage and survives a reload', async () => {
+  await harness.pressButton('mode_voice_ai');
+
+  const { createLocalStorage } = require('../storage');
+  await harness.storage.flush();
+  const reloaded = createLocalStorage(process.env.LOCAL_STORAGE_PATH);
+  const session = await reloaded.getSession('42:42');
+
+  assert.strictEqual(session.data.voiceAIMode, true);
+  assert.ok(Date.parse(session.expires_at) > Date.now());
+
+  await harness.pressButton('mode_voice_kb');
+});
+
+test('knowledge-changing and global commands are permission checked', async () => {
+  const stranger = { id: 77, is_bot: false, first_name: 'Stranger' };
+
+  await harness.sendText('/add Who owns the bot? || Stranger', stranger);
+  assert.match(harness.lastReply(), /needs the editor role/);
+  assert.strictEqual(await harness.storage.findByQuestion('who owns the bot?'), null);
+
+  await harness.sendText('/defaultmodel gemma2-9b-it', stranger);
+  assert.match(harness.lastReply(), /needs the admin role/);
+
+  await harness.sendText('/grant 77 editor');
+  assert.match(harness.lastReply(), /User 77 is now an editor/);
+
+  await harness.sendText('/add Who owns the bot? || The support team', stranger);
+  assert.match(harness.lastReply(), /Added: "Who owns the bot\?"/);
+
+  await harness.sendText('/grant 77 admin', stranger);
+  assert.match(harness.lastReply(), /needs the admin role/);
+
+  await harness.sendText('/revoke 77');
+  assert.match(harness.lastReply(), /Removed the editor role from user 77/);
+
+  await harness.sendText('/add Who owns the bot? || Me', stranger);
+  assert.match(harness.lastReply(), /needs the editor role/);
+});
+
+test('/export sends the whole knowledge base in the chosen format', async () => {
+  await harness.sendText('/add Export check? || Yes, exported');
+  harness.reset();
+
+  await harness.sendText('/export');
+  const buttons = harness.sent('sendMessage').slice(-1)[0].payload.reply_markup.inline_keyboard[0];
+  assert.deepStrictEqual(buttons.map(button => button.callback_data), ['kbx_csv', 'kbx_json', 'kbx_md']);
+
+  await harness.pressButton('kbx_json');
+  await harness.sendText('/export csv');
+  const [json, csv] = harness.sent('sendDocument').map(call => call.payload);
+
+  assert.match(json.document.filename, /^knowledge-base-\d{4}-\d{2}-\d{2}\.json$/);
+  const exported = JSON.parse(json.document.source.toString());
+  assert.strictEqual(exported.length, await harness.storage.countKnowledge());
+  assert.ok(exported.some(entry => entry.question === 'Export check?' && entry.answer === 'Yes, exported'));
+  assert.strictEqual(json.caption, `${exported.length} entries`);
+  assert.match(csv.document.source.toString(), /^id,question,answer,tags,created_at,updated_at\r\n/);
+
+  await harness.sendText('/export', { id: 78, is_bot: false, first_name: 'Viewer' });
+  assert.match(harness.lastReply(), /needs the editor role/);
+});
+
+test('/import previews a file as a dry run and saves only when confirmed', async () => {
+  await harness.sendText('/add Import hours? || 9 to 5');
+  await harness.sendText('/add Import parking? || Free');
+  const count = await harness.storage.countKnowledge();
+  harness.reset();
+
+  await harness.sendText('/import');
+  assert.match(harness.lastReply(), /Send the CSV or JSON file to import/);
+
+  const csv = 'question,answer\nImport hours?,10 to 6\nimport parking?,Free\nImport wifi?,Ask at the desk\nImport x,\n';
+  await harness.sendDocument('kb.csv', 'text/csv', csv);
+
+  const preview = harness.sent('sendMessage').slice(-1)[0].payload;
+  assert.match(preview.text, /dry run, nothing has been saved/);
+  assert.match(preview.text, /New questions: 1\n• Existing questions with a new answer or tags: 1\n• Existing questions with the same answer and tags: 1\n• Invalid rows: 1/);
+  assert.match(preview.text, /Row 1: "Import hours\?" is already #\d+/);
+  assert.match(preview.text, /Row 4: answer is missing or too short/);
+  assert.deepStrictEqual(preview.reply_markup.inline_keyboard.flat().map(button => button.callback_data), ['kbi_new', 'kbi_all', 'kbi_cancel']);
+  assert.strictEqual(await harness.storage.countKnowledge(), count);
+  assert.strictEqual(harness.sent('llm').length, 0);
+
+  await harness.pressButton('kbi_all');
+  assert.match(harness.lastReply(), /Import of kb\.csv finished\n\n• Added: 1\n• Updated: 1\n• Skipped: 1\n• Failed: 0/);
+  assert.strictEqual(await harness.storage.countKnowledge(), count + 1);
+  assert.strictEqual((await harness.storage.findByQuestion('import hours?')).answer, '10 to 6');
+
+  await harness.pressButton('kbi_all');
+  assert.match(harness.lastReply(), /preview has expired/);
+});
+
+test('/import as a file caption can be cancelled', async () => {
+  const json = JSON.stringify([{ question: 'Caption import?', answer: 'Not saved' }]);
+  await harness.sendDocument('kb.json', 'application/json', json, { caption: '/import' });
+  assert.match(harness.lastReply(), /New questions: 1/);
+
+  await harness.pressButton('kbi_cancel');
+  assert.match(harness.lastReply(), /Import cancelled/);
+  assert.strictEqual(await harness.storage.findByQuestion('caption import?'), null);
+
+  await harness.sendDocument('notes.txt', 'text/plain', 'Just notes', { caption: '/import' });
+  assert.match(harness.lastReply(), /Import needs a CSV or JSON file/);
+});
+
+test('/list pages through every entry in one message', async () => {
+  for (let i = 1; i <= 11; i++) {
+    await harness.storage.insertKnowledge({ question: `List entry ${i}?`, answer: `Answer ${i}` });
+  }
+  const total = await harness.storage.countKnowledge();
+  const pages = Math.ceil(total / 10);
+  harness.reset();
+
+  await harness.sendText('/list');
+  const first = harness.sent('sendMessage')[0].payload;
+  assert.match(first.text, new RegExp(`page 1 of ${pages} \\(${total} entries\\)`));
+  const buttons = first.reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+  assert.strictEqual(buttons.filter(data => data.startsWith('src_kb_')).length, 10);
+  assert.deepStrictEqual(buttons.filter(data => data.startsWith('kbl_')), ['kbl_2']);
+
+  await harness.pressButton(`kbl_${pages}`, harness.lastMessageId());
+  assert.strictEqual(harness.replies().length, 1);
+  assert.match(harness.lastReply(), new RegExp(`page ${pages} of ${pages}[\\s\\S]*List entry 11\\?`));
+  const last = harness.sent('editMessageText').slice(-1)[0].payload.reply_markup.inline_keyboard.flat();
+  assert.deepStrictEqual(last.filter(button => button.callback_data.startsWith('kbl_')).map(button => button.callback_data), [`kbl_${pages - 1}`]);
+
+  const entry = await harness.storage.findByQuestion('list entry 11?');
+  await harness.pressButton(`src_kb_${entry.id}`);
+  const opened = harness.sent('sendMessage').slice(-1)[0].payload;
+  assert.match(opened.text, /List entry 11\?[\s\S]*Answer 11/);
+  assert.deepStrictEqual(opened.reply_markup.inline_keyboard.flat().map(button => button.callback_data),
+    [`kbe_question_${entry.id}`, `kbe_answer_${entry.id}`, `kbd_ask_${entry.id}`]);
+});
+
+test('/edit changes a question or answer and /undo reverts it', async () => {
+  await harness.sendText('/add Edit me? || First answer');
+  await harness.sendText('/add Taken question? || Other');
+  const entry = await harness.storage.findByQuestion('edit me?');
+  harness.reset();
+
+  await harness.sendText(`/edit ${entry.id} answer Second answer`);
+  assert.match(harness.lastReply(), /Updated <b>#\d+<\/b>[\s\S]*Second answer/);
+  assert.strictEqual((await harness.storage.getKnowledge(entry.id)).answer, 'Second answer');
+
+  await harness.sendText(`/edit ${entry.id} question Taken question?`);
+  assert.match(harness.lastReply(), /already has that question/);
+
+  await harness.pressButton(`kbe_question_${entry.id}`);
+  assert.match(harness.lastReply(), /Send the new question for #\d+, or \/edit to cancel\.\n\nCurrent question:\nEdit me\?/);
+  await harness.sendText('Edited question?');
+  assert.strictEqual((await harness.storage.getKnowledge(entry.id)).question, 'Edited question?');
+  assert.strictEqual(harness.sent('llm').length, 0);
+
+  await harness.sendText('/audit');
+  assert.match(harness.lastReply(), /renamed "Edit me\?" to "Edited question\?"/);
+
+  await harness.sendText('/undo');
+  assert.match(harness.lastReply(), /Restored the previous question of #\d+/);
+  const restored = await harness.storage.getKnowledge(entry.id);
+  assert.deepStrictEqual([restored.question, restored.answer], ['Edit me?', 'Second answer']);
+
+  await harness.sendText('/undo');
+  assert.match(harness.lastReply(), /Nothing to undo/);
+});
+
+test('/delete asks for confirmation and /undo restores the entry', async () => {
+  await harness.sendText('/add Delete me? || Soon gone');
+  const entry = await harness.storage.findByQuestion('delete me?');
+
+  await harness.sendText(`/delete ${entry.id}`);
+  const prompt = harness.sent('sendMessage').slice(-1)[0].payload;
+  assert.match(prompt.text, /Delete this entry\?[\s\S]*Soon gone/);
+  assert.deepStrictEqual(prompt.reply_markup.inline_keyboard.flat().map(button => button.callback_data), [`kbd_yes_${entry.id}`, 'kbd_no']);
+
+  await harness.pressButton('kbd_no');
+  assert.ok(await harness.storage.getKnowledge(entry.id));
+
+  await harness.pressButton(`kbd_yes_${entry.id}`);
+  assert.match(harness.lastReply(), /Deleted #\d+ "Delete me\?"/);
+  assert.strictEqual(await harness.storage.getKnowledge(entry.id), null);
+
+  await harness.sendText('/undo');
+  assert.strictEqual(harness.lastReply(), `↩️ Restored "Delete me?" as #${entry.id}.`);
+  assert.strictEqual((await harness.storage.getKnowledge(entry.id)).answer, 'Soon gone');
+
+  await harness.sendText('/delete 999999');
+  assert.match(harness.lastReply(), /Entry #999999 is not in the knowledge base/);
+});
+
+test('/undo of a delete is refused once the question was reused', async () => {
+  await harness.sendText('/add Reused by undo? || Original answer #support');
+  const entry = await harness.storage.findByQuestion('reused by undo?');
+  await harness.sendText(`/delete ${entry.id}`);
+  await harness.pressButton(`kbd_yes_${entry.id}`);
+
+  await harness.storage.insertKnowledge({ question: 'Reused by undo?', answer: 'Someone else\'s answer' });
+  const reuse = await harness.storage.findByQuestion('reused by undo?');
+  await harness.sendText('/undo');
+  assert.match(harness.lastReply(), new RegExp(`Entry #${reuse.id} now has that question, so your delete was not undone`));
+  assert.strictEqual((await harness.storage.getKnowledge(reuse.id)).answer, 'Someone else\'s answer');
+  assert.strictEqual(await harness.storage.getKnowledge(entry.id), null);
+});
+
+test('/undo leaves entries alone that changed since', async () => {
+  await harness.sendText('/add Undo race? || Mine');
+  const entry = await harness.storage.findByQuestion('undo race?');
+  await harness.storage.updateKnowledge(entry.id, { answer: 'Someone else', content: 'Someone else' });
+
+  await harness.sendText('/undo');
+  assert.match(harness.lastReply(), /has changed since, so your change was not undone/);
+  assert.strictEqual((await harness.storage.getKnowledge(entry.id)).answer, 'Someone else');
+});
+
+test('overwritten answers are kept as revisions and can be rolled back', async () => {
+  await harness.sendText('/add Revision hours? || Open 9 to 5pm');
+  await harness.sendText('/add Revision hours? || Open 9 to 6pm');
+  const entry = await harness.storage.findByQuestion('revision hours?');
+
+  await harness.sendText(`/history ${entry.id}`);
+  const history = harness.lastReply();
+  assert.match(history, new RegExp(`History of #${entry.id}</b> "Revision hours\\?", newest first`));
+  assert.match(history, /<b>r2<\/b> · update · user 42 · [^\n]+\nA: Open 9 to \[-5pm-\]\{\+6pm\+\}/);
+  assert.match(history, /<b>r1<\/b> · insert · user 42 · [^\n]+\nQ: Revision hours\?\nA: Open 9 to 5pm/);
+  assert.ok(history.indexOf('r2') < history.indexOf('r1'));
+
+  await harness.sendText(`/rollback ${entry.id} 1`);
+  assert.match(harness.lastReply(), new RegExp(`Rolled #${entry.id} back to r1`));
+  assert.strictEqual((await harness.storage.getKnowledge(entry.id)).answer, 'Open 9 to 5pm');
+
+  await harness.sendText(`/history ${entry.id}`);
+  assert.match(harness.lastReply(), /<b>r3<\/b> · rollback to r1 · user 42/);
+
+  await harness.sendText(`/rollback ${entry.id} 1`);
+  assert.match(harness.lastReply(), /already matches r1/);
+  await harness.sendText(`/rollback ${entry.id} 9`);
+  assert.match(harness.lastReply(), /has no revision r9/);
+
+  await harness.sendText('/undo');
+  assert.strictEqual((await harness.storage.getKnowledge(entry.id)).answer, 'Open 9 to 6pm');
+});
+
+test('entries from before revisions keep their original version', async () => {
+  const legacy = await harness.storage.insertKnowledge({ question: 'Legacy entry?', answer: 'Old text' });
+
+  await harness.sendText(`/history ${legacy.id}`);
+  assert.match(harness.lastReply(), /No revisions recorded/);
+
+  await harness.sendText(`/edit ${legacy.id} answer New text`);
+  await harness.pressButton(`kbd_yes_${legacy.id}`);
+  assert.strictEqual(await harness.storage.getKnowledge(legacy.id), null);
+
+  await harness.sendText(`/history #${legacy.id}`);
+  const history = harness.lastReply();
+  assert.match(history, /\(deleted\), newest first/);
+  assert.match(history, /<b>r3<\/b> · delete/);
+  assert.match(history, /<b>r2<\/b> · update · user 42 · [^\n]+\nA: \[-Old-\]\{\+New\+\} text/);
+  assert.match(history, /<b>r1<\/b> · original · unknown author/);
+
+  await harness.sendText(`/rollback ${legacy.id} r1`);
+  assert.match(harness.lastReply(), new RegExp(`Rolled #${legacy.id} back to r1\n`));
+  assert.strictEqual((await harness.storage.getKnowledge(legacy.id)).answer, 'Old text');
+
+  const stranger = { id: 79, is_bot: false, first_name: 'Editor' };
+  await harness.sendText('/grant 79 editor');
+  await harness.sendText(`/history ${legacy.id}`, stranger);
+  assert.match(harness.lastReply(), /needs the admin role/);
+  await harness.sendText('/revoke 79');
+});
+
+test('a deleted entry is rolled back under its old ID with its tags unless its question was reused', async () => {
+  await harness.sendText('/add Reused question? || First answer #support #hours');
+  const entry = await harness.storage.findByQuestion('reused question?');
+  await harness.sendText(`/delete ${entry.id}`);
+  await harness.pressButton(`kbd_yes_${entry.id}`);
+
+  await harness.sendText('/add Reused question? || Someone else\'s answer');
+  const reuse = await harness.storage.findByQuestion('reused question?');
+  assert.notStrictEqual(reuse.id, entry.id);
+
+  await harness.sendText(`/rollback ${entry.id} 1`);
+  assert.match(harness.lastReply(), new RegExp(`Could not roll back: Entry #${reuse.id} now has the question of r1`));
+  assert.strictEqual((await harness.storage.getKnowledge(reuse.id)).answer, 'Someone else\'s answer');
+  assert.strictEqual(await harness.storage.getKnowledge(entry.id), null);
+
+  await harness.storage.deleteKnowledge(reuse.id);
+  await harness.sendText(`/rollback ${entry.id} 1`);
+  assert.match(harness.lastReply(), new RegExp(`Rolled #${entry.id} back to r1\n`));
+  const restored = await harness.storage.getKnowledge(entry.id);
+  assert.strictEqual(restored.answer, 'First answer');
+  assert.strictEqual(restored.category, 'support');
+  assert.deepStrictEqual(restored.tags, ['support', 'hours']);
+
+  await harness.sendText(`/history ${entry.id}`);
+  assert.match(harness.lastReply(), /<b>r3<\/b> · rollback to r1 · user 42/);
+});
+
+test('hashtags in /add set the category and tags that /faq groups by', async () => {
+  await harness.storage.insertKnowledge({ question: 'Where is the office?', answer: 'On Main Street' });
+  await harness.sendText('/add How do refunds work? || Within 30 days #Billing #refunds');
+  assert.match(harness.lastReply(), /Added: "How do refunds work\?"[\s\S]*Tags:\*\* #billing #refunds/);
+  const refunds = await harness.storage.findByQuestion('how do refunds work?');
+  assert.deepStrictEqual([refunds.category, refunds.tags], ['billing', ['billing', 'refunds']]);
+
+  harness.fakes.aiAnswer = 'Sure: {"category": "Billing", "tags": ["invoices"]}';
+  await harness.sendText('/add Where are my invoices? || Under Account > Invoices');
+  const invoices = await harness.storage.findByQuestion('where are my invoices?');
+  const suggestion = harness.sent('sendMessage').slice(-1)[0].payload;
+  assert.match(suggestion.text, new RegExp(`Suggested tags for #${invoices.id}: #billing #invoices`));
+  assert.deepStrictEqual(suggestion.reply_markup.inline_keyboard.flat().map(button => button.callback_data), [`kbt_apply_${invoices.id}`, 'kbt_skip']);
+  assert.strictEqual((await harness.storage.getKnowledge(invoices.id)).category, null);
+
+  await harness.pressButton(`kbt_apply_${invoices.id}`);
+  assert.match(harness.lastReply(), new RegExp(`Tagged #${invoices.id} #billing #invoices`));
+  assert.strictEqual((await harness.storage.getKnowledge(invoices.id)).category, 'billing');
+  harness.reset();
+
+  await harness.sendText('/faq');
+  const menu = harness.sent('sendMessage')[0].payload;
+  assert.match(menu.text, /Pick a category:\n• #billing \(2\)[\s\S]*• Uncategorized \(1\)/);
+  const buttons = menu.reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+  assert.deepStrictEqual([buttons[0], buttons[buttons.length - 1]], ['faq_1_billing', 'faq_1_']);
+
+  await harness.pressButton('faq_1_billing', harness.lastMessageId());
+  assert.strictEqual(harness.replies().length, 1);
+  assert.match(harness.lastReply(), /#billing<\/b> - page 1 of 1 \(2 entries\)[\s\S]*How do refunds work\?[\s\S]*Where are my invoices\?/);
+  const page = harness.sent('editMessageText').slice(-1)[0].payload.reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+  assert.deepStrictEqual(page, [`src_kb_${refunds.id}`, `src_kb_${invoices.id}`, 'faq_menu']);
+
+  await harness.pressButton('faq_menu', harness.lastMessageId());
+  assert.match(harness.lastReply(), /Pick a category/);
+  assert.strictEqual(harness.sent('deleteMessage').length, 0);
+});
+
+test('/search #tag only searches tagged entries and /tag changes tags', async () => {
+  await harness.sendText('/add Is shipping free? || Free above $50 #shipping');
+  await harness.sendText('/add Is returning free? || Returns cost $5');
+  const returns = await harness.storage.findByQuestion('is returning free?');
+  harness.reset();
+
+  await harness.sendText('/search #shipping');
+  assert.match(harness.lastReply(), /Tagged #shipping[\s\S]*Is shipping free\?/);
+  assert.doesNotMatch(harness.lastReply(), /returning/);
+
+  await harness.sendText('/search #shipping Is returning free?');
+  assert.match(harness.lastReply(), /Found:[\s\S]*Free above \$50/);
+
+  await harness.sendText('/search #shipping quantum chromodynamics');
+  assert.match(harness.lastReply(), /No match for "quantum chromodynamics" among the entries tagged #shipping/);
+  assert.strictEqual(harness.sent('llm').length, 0);
+
+  await harness.sendText(`/tag ${returns.id} #shipping returns`);
+  assert.match(harness.lastReply(), new RegExp(`Tagged #${returns.id} #shipping #returns`));
+
+  await harness.sendText('/search #shipping Is returning free?');
+  assert.match(harness.lastReply(), /Found:[\s\S]*Returns cost \$5/);
+
+  await harness.sendText(`/tag ${returns.id} none`);
+  assert.match(harness.lastReply(), /Removed the tags/);
+  assert.deepStrictEqual((await harness.storage.getKnowledge(returns.id)).tags, []);
+
+  await harness.sendText('/audit');
+  assert.match(harness.lastReply(), /removed the tags of "Is returning free\?"[\s\S]*tagged "Is returning free\?" #shipping #returns/);
+});
+
+test('knowledge changes are recorded in the audit log', async () => {
+  await harness.sendText('/add What is the warranty? || One year');
+  await harness.sendText('/add What is the warranty? || Two years');
+
+  const [update, insert] = await harness.storage.listAuditLog(2);
+  assert.strictEqual(insert.action, 'insert');
+  assert.strictEqual(update.action, 'update');
+  assert.strictEqual(update.user_id, '42');
+  assert.strictEqual(update.old_answer, 'One year');
+  assert.strictEqual(update.new_answer, 'Two years');
+
+  await harness.sendText('/audit');
+  assert.match(harness.lastReply(), /user 42 updated "What is the warranty\?"/);
+});
+
+test('model choice is per user and limited to the allowed models', async () => {
+  const other = { id: 88, is_bot: false, first_name: 'Other' };
+
+  await harness.sendText('/setmodel gemma2-9b-it', other);
+  assert.match(harness.lastReply(), /Your model is set to: \*\*gemma2-9b-it\*\*/);
+
+  harness.reset();
+  await harness.sendText('/ask Which model?', other);
+  await harness.sendText('/ask Which model?');
+  const [otherCall, adminCall] = harness.sent('llm');
+  assert.strictEqual(otherCall.payload.model, 'gemma2-9b-it');
+  assert.strictEqual(adminCall.payload.model, 'llama-3.1-8b-instant');
+
+  await harness.sendText('/allowmodels llama-3.1-8b-instant llama-3.2-3b-preview');
+  assert.match(harness.lastReply(), /Allowed models: llama-3.1-8b-instant, llama-3.2-3b-preview/);
+
+  await harness.sendText('/defaultmodel llama-3.2-3b-preview');
+  assert.match(harness.lastReply(), /Default model for everyone set to/);
+
+  harness.reset();
+  await harness.sendText('/ask Which model now?', other);
+  assert.strictEqual(harness.sent('llm')[0].payload.model, 'llama-3.2-3b-preview');
+
+  await harness.sendText('/setmodel gemma2-9b-it', other);
+  assert.match(harness.lastReply(), /is not available/);
+
+  await harness.sendText('/allowmodels all');
+  await harness.sendText('/defaultmodel llama-3.1-8b-instant');
+  await harness.sendText('/setmodel default', other);
+});
+
+test('/aistatus reports and pings every configured provider', async () => {
+  await harness.sendText('/aistatus');
+
+  assert.match(harness.lastReply(), /1\. groq - https:\/\/api\.groq\.com\/openai\/v1/);
+  assert.match(harness.lastReply(), /Connection: Working/);
+  assert.strictEqual(harness.sent('llm')[0].url, 'https://api.groq.com/openai/v1/chat/completions');
+});
+
+test('/ask streams the answer into one message that is edited in place', async () => {
+  harness.fakes.aiAnswer = 'Machine learning is <pattern> recognition from data.';
+  await harness.sendText('/ask What is machine learning?');
+
+  assert.strictEqual(harness.sent('llm')[0].payload.stream, true);
+  assert.strictEqual(harness.sent('sendMessage').length, 1);
+  assert.ok(harness.sent('editMessageText').length >= 1);
+  assert.deepStrictEqual(harness.replies(), [
+    '<b>AI Response:</b>\n\nMachine learning is &lt;pattern&gt; recognition from data.'
+  ]);
+  assert.strictEqual(harness.sent('sendVoice').length, 1);
+});
+
+test('jobs that outlive the handler timeout finish without an error reply', async () => {
+  const { handlerTimeout } = harness.bot.options;
+  harness.bot.options.handlerTimeout = 20;
+  harness.fakes.aiDelayMs = 100;
+
+  try {
+    await harness.sendText('/ask What takes a while?');
+  } finally {
+    harness.bot.options.handlerTimeout = handlerTimeout;
+  }
+
+  assert.deepStrictEqual(harness.replies(), ['<b>AI Response:</b>\n\nAI generated answer']);
+});
+
+test('shutdown turns new updates away and waits for queued ones to be saved', async () => {
+  let releaseReply;
+  harness.fakes.beforeApiCall = () => (releaseReply ? null : new Promise(resolve => { releaseReply = resolve; }));
+  const pressed = harness.pressButton('mode_text_ai');
+  while (!releaseReply) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  const shutdown = harness.gracefulShutdown('SIGTERM');
+  const turnedAway = harness.sendText('/help');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual(harness.sent('exit').length, 0);
+
+  releaseReply();
+  await shutdown;
+  assert.deepStrictEqual(harness.sent('exit').map(call => call.payload.code), [0]);
+  assert.strictEqual((await harness.storage.getSession('42:42')).data.textAIMode, true);
+  assert.ok(harness.replies().includes('Bot is restarting. Please try again in a moment.'));
+  await Promise.all([pressed, turnedAway]);
+});
+
+test('updates beyond the queue limit are turned away', async () => {
+  await harness.cleanup();
+  harness = createHarness({ env: { MAX_QUEUED_UPDATES: '1' } });
+  let releaseAnswer;
+  harness.fakes.beforeAiReply = () => new Promise(resolve => { releaseAnswer = resolve; });
+  const answered = harness.sendText('/ask What takes a while?');
+  while (!releaseAnswer) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  const turnedAway = harness.sendText('/help');
+  releaseAnswer();
+  await Promise.all([answered, turnedAway]);
+
+  assert.deepStrictEqual(harness.replies(), ['<b>AI Response:</b>\n\nAI generated answer', 'Bot is busy. Please try again in a moment.']);
+});
+
+test('partial streamed output is kept when the stream fails', async () => {
+  harness.fakes.aiAnswer = 'First part of the answer and then the rest';
+  harness.fakes.streamFailsAfter = 4;
+  await harness.sendText('/ask Tell me everything');
+
+  assert.strictEqual(harness.lastReply(), '<b>AI Response:</b>\n\nFirst part of the');
+  assert.strictEqual(harness.sent('sendVoice').length, 1);
+});
+
+test('the detected speech language is used for that voice message\'s reply only', async () => {
+  await harness.pressButton('mode_voice_ai');
+  harness.reset();
+  harness.fakes.transcript = 'Habari, saa ngapi?';
+  harness.fakes.language = 'sw';
+  harness.fakes.aiAnswer = 'Ni saa tatu asubuhi.';
+
+  await harness.sendVoice();
+
+  const systemPrompt = harness.sent('llm')[0].payload.messages[0].content;
+  assert.match(systemPrompt, /always reply in Swahili/);
+  assert.strictEqual(harness.sent('gtts')[0].payload.lang, 'sw');
+
+  const saved = JSON.parse(require('fs').readFileSync(process.env.LOCAL_STORAGE_PATH, 'utf-8'));
+  const transcript = saved.messages.find(message => message.text === 'Habari, saa ngapi?');
+  assert.strictEqual(transcript.language, 'sw');
+
+  harness.reset();
+  harness.fakes.language = 'en';
+  await harness.sendText('/ask What time is it?');
+  assert.strictEqual(harness.sent('gtts')[0].payload.lang, 'en-us');
+
+  await harness.pressButton('mode_voice_kb');
+  await harness.sendVoice();
+});
+
+test('voice replies fall back to the offline engine when gTTS fails', async () => {
+  await harness.sendText('/add Is there parking? || Yes, behind the building');
+  harness.reset();
+  harness.fakes.gttsFails = true;
+
+  await harness.sendText('Is there parking?');
+
+  const commands = harness.sent('spawn').map(call => call.payload.command);
+  assert.deepStrictEqual(commands, ['espeak-ng', 'ffmpeg', 'ffmpeg']);
+  assert.deepStrictEqual(harness.sent('spawn')[0].payload.args, ['--stdout', '--stdin', '-v', 'en-us']);
+  assert.strictEqual(harness.sent('sendVoice').length, 1);
+});
+
+test('long answers are spoken in full as one OGG/Opus voice note', async () => {
+  const answer = Array.from({ length: 30 }, (_, i) => `This is sentence number ${i} of the returns policy.`).join(' ');
+  await harness.sendText(`/add What is the full returns policy? || ${answer}`);
+  harness.reset();
+
+  await harness.sendText('What is the full returns policy?');
+
+  const spoken = harness.sent('gtts').map(call => call.payload.text);
+  assert.ok(spoken.length > 1);
+  assert.strictEqual(spoken.join(' '), answer);
+  assert.ok(spoken.every(piece => /\.$/.test(piece)), 'pieces end on sentence boundaries');
+
+  const encode = harness.sent('spawn').slice(-1)[0].payload.args;
+  assert.ok(encode.includes('libopus'));
+  assert.strictEqual(harness.sent('sendVoice').length, 1);
+});
+
+test('audio files, video notes and videos are transcribed and answered', async () => {
+  await harness.sendText('/add hello || Hi there, how can I help?');
+  harness.fakes.transcript = 'hello';
+
+  for (const kind of ['audio', 'video_note', 'video']) {
+    harness.reset();
+    await harness.sendMedia(kind, kind === 'audio' ? { mime_type: 'audio/mpeg', file_name: 'memo.mp3' } : {});
+
+    assert.ok(harness.replies().includes('**You said:** hello'), kind);
+    assert.match(harness.replies().slice(-1)[0], /Hi there, how can I help\?/);
+
+    const decode = harness.sent('spawn')[0].payload.args;
+    assert.notStrictEqual(decode[1], 'pipe:0', 'media is decoded from a seekable temp file');
+    assert.ok(decode.includes('-vn'));
+  }
+
+  const saved = JSON.parse(require('fs').readFileSync(process.env.LOCAL_STORAGE_PATH, 'utf-8'));
+  assert.ok(saved.messages.some(message => message.source === 'video_note'));
+});
+
+test('audio sent as a document goes through speech recognition', async () => {
+  harness.fakes.transcript = 'hello';
+  await harness.sendDocument('meeting.m4a', 'audio/x-m4a', 'fake audio bytes');
+
+  assert.ok(harness.replies().includes('**You said:** hello'));
+  assert.ok(!harness.replies().some(reply => /Unsupported file type/.test(reply)));
+});
+
+test('oversized recordings are rejected before downloading', async () => {
+  await harness.sendMedia('video', { file_size: 50 * 1024 * 1024 });
+
+  assert.match(harness.lastReply(), /File too large: 50\.0MB/);
+  assert.strictEqual(harness.sent('getFile').length, 0);
+});
+
+test('long recordings are transcribed in overlapping windows and stitched', async () => {
+  harness.fakes.audioSeconds = 70;
+  harness.fakes.transcript = [
+    'The quick brown fox jumps',
+    'fox jumps over the lazy',
+    'the lazy dog sleeps.'
+  ];
+
+  await harness.sendVoice(70);
+
+  const windows = harness.sent('whisper').map(call => call.payload.seconds);
+  assert.deepStrictEqual(windows, [30, 30, 20]);
+  assert.ok(harness.replies().includes('**You said:** The quick brown fox jumps over the lazy dog sleeps.'));
+
+  const progress = harness.sent('editMessageText').map(call => call.payload.text);
+  assert.deepStrictEqual(progress.slice(0, 3), ['Transcribing... 1/3', 'Transcribing... 2/3', 'Transcribing... 3/3']);
+
+  const decodeArgs = harness.sent('spawn')[0].payload.args;
+  assert.strictEqual(decodeArgs[decodeArgs.indexOf('-t') + 1], '900');
+});
+
+test('/transcribe on a replied recording returns only the transcript with exports', async () => {
+  harness.fakes.audioSeconds = 10;
+  harness.fakes.transcript = 'First we agreed on the budget. Then we picked a date.';
+  const recording = {
+    message_id: 5000,
+    from: { id: 42, is_bot: false, first_name: 'Tester' },
+    chat: { id: 42, type: 'private' },
+    date: Math.floor(Date.now() / 1000),
+    voice: { file_id: 'voice-meeting', file_unique_id: 'meeting', duration: 10 }
+  };
+
+  await harness.sendText('/transcribe', undefined, { reply_to_message: recording });
+
+  assert.ok(harness.replies().includes('📝 Transcript:\n\n[00:00] First we agreed on the budget.\n[00:05] Then we picked a date.\n'));
+  assert.strictEqual(harness.sent('llm').length, 0);
+  assert.strictEqual(harness.sent('sendVoice').length, 0);
+
+  const buttons = harness.sent('sendMessage').slice(-1)[0].payload.reply_markup.inline_keyboard[0];
+  assert.deepStrictEqual(buttons.map(button => button.callback_data), ['tr_txt', 'tr_srt', 'tr_vtt']);
+
+  await harness.pressButton('tr_srt');
+  await harness.pressButton('tr_vtt');
+  const [srt, vtt] = harness.sent('sendDocument').map(call => call.payload.document);
+
+  assert.match(srt.filename, /^transcript-.*\.srt$/);
+  assert.strictEqual(srt.source.toString(),
+    '1\n00:00:00,000 --> 00:00:05,000\nFirst we agreed on the budget.\n\n' +
+    '2\n00:00:05,000 --> 00:00:10,000\nThen we picked a date.\n');
+  assert.match(vtt.source.toString(), /^WEBVTT\n\n00:00:00\.000 --> 00:00:05\.000\n/);
+});
+
+test('/transcribe on makes recordings transcript-only until turned off', async () => {
+  await harness.sendText('/transcribe on');
+  assert.match(harness.lastReply(), /Transcription mode on/);
+  harness.reset();
+
+  await harness.sendVoice();
+  assert.ok(harness.replies().some(reply => reply.startsWith('📝 Transcript:')));
+  assert.ok(!harness.replies().some(reply => /You said/.test(reply)));
+
+  await harness.sendText('/transcribe off');
+  harness.reset();
+  await harness.sendVoice();
+  assert.ok(harness.replies().includes('**You said:** hello'));
+});
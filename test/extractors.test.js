@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { EXTRACTORS, resolveDocumentType, parseCsv } = require('../extractors');
+
+const zip = (files) => {
+  const archive = new JSZip();
+  Object.entries(files).forEach(([name, content]) => archive.file(name, content));
+  return archive.generateAsync({ type: 'nodebuffer' });
+};
+
+test('document types come from the MIME type, then the file extension', () => {
+  assert.strictEqual(resolveDocumentType('application/epub+zip', 'book'), 'epub');
+  assert.strictEqual(resolveDocumentType('application/octet-stream', 'Notes.MD'), 'md');
+  assert.strictEqual(resolveDocumentType('application/octet-stream', 'prices.csv'), 'csv');
+  assert.strictEqual(resolveDocumentType('image/bmp', 'photo.bmp'), null);
+});
+
+test('HTML loses scripts and tags but keeps paragraphs apart', async () => {
+  const html = '<html><head><title>FAQ &amp; Help</title><style>p{}</style></head><body>' +
+    '<script>alert(1)</script><h1>Returns</h1><p>Within&nbsp;30 days.</p><ul><li>Receipt</li><li>Box</li></ul></body></html>';
+
+  const { text, info } = await EXTRACTORS.html(Buffer.from(html));
+
+  assert.strictEqual(text, 'Returns\nWithin 30 days.\n\n• Receipt\n• Box');
+  assert.strictEqual(info.title, 'FAQ & Help');
+});
+
+test('Markdown syntax is stripped', async () => {
+  const { text } = await EXTRACTORS.md(Buffer.from('# Setup\n\nRun **npm install**, see [the docs](https://example.com).\n\n- one\n* two'));
+  assert.strictEqual(text, 'Setup\n\nRun npm install, see the docs.\n\n• one\n• two');
+});
+
+test('CSV rows are labelled with their column names', async () => {
+  assert.deepStrictEqual(parseCsv('a;b\n"x;1";"say ""hi"""\n'), [['a', 'b'], ['x;1', 'say "hi"']]);
+
+  const { text, info } = await EXTRACTORS.csv(Buffer.from('Plan,Price\r\nBasic,$5\r\n"Pro, yearly",$50\r\n'));
+
+  assert.strictEqual(text, 'Columns: Plan, Price\n\nRow 1: Plan: Basic; Price: $5\nRow 2: Plan: Pro, yearly; Price: $50');
+  assert.strictEqual(info.numRows, 2);
+});
+
+test('EPUB chapters are read in spine order', async () => {
+  const buffer = await zip({
+    'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+    'OEBPS/content.opf': '<package><metadata><dc:title>Guide</dc:title></metadata><manifest>' +
+      '<item id="c1" href="one.xhtml"/><item id="c2" href="text/two.xhtml"/></manifest>' +
+      '<spine><itemref idref="c2"/><itemref idref="c1"/></spine></package>',
+    'OEBPS/one.xhtml': '<html><body><p>First file.</p></body></html>',
+    'OEBPS/text/two.xhtml': '<html><body><p>Read me first.</p></body></html>'
+  });
+
+  const { text, info } = await EXTRACTORS.epub(buffer);
+
+  assert.strictEqual(text, 'Read me first.\n\nFirst file.');
+  assert.deepStrictEqual(info, { numChapters: 2, title: 'Guide' });
+  await assert.rejects(EXTRACTORS.epub(await zip({ 'mimetype': 'application/epub+zip' })), /package document not found/);
+});
+
+test('DOCX headings become citable segments', async () => {
+  const paragraph = (text, style) => '<w:p>' + (style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '') + `<w:r><w:t>${text}</w:t></w:r></w:p>`;
+  const buffer = await zip({
+    '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/></Types>',
+    '_rels/.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>',
+    'word/_rels/document.xml.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>',
+    'word/styles.xml': '<?xml version="1.0"?><w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style></w:styles>',
+    'word/document.xml': '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+      paragraph('Welcome') + paragraph('Opening hours', 'Heading1') + paragraph('Monday to Friday') + '</w:body></w:document>'
+  });
+
+  const { text, segments } = await EXTRACTORS.docx(buffer);
+  assert.strictEqual(text, 'Welcome\n\nOpening hours\nMonday to Friday');
+  assert.deepStrictEqual(segments, [
+    { heading: null, text: 'Welcome' },
+    { heading: 'Opening hours', text: 'Opening hours\nMonday to Friday' }
+  ]);
+});
+
+test('Markdown and HTML sections are split at headings', async () => {
+  const markdown = await EXTRACTORS.md(Buffer.from('Intro line\n\n## Returns\nWithin 30 days.\n\n## Shipping ##\nFree over $50.'));
+  assert.deepStrictEqual(markdown.segments.map(segment => segment.heading), [null, 'Returns', 'Shipping']);
+
+  const html = await EXTRACTORS.html(Buffer.from('<title>Help</title><h2>Returns</h2><p>Within 30 days.</p>'));
+  assert.deepStrictEqual(html.segments, [{ heading: 'Returns', text: 'Returns\nWithin 30 days.' }]);
+});
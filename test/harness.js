@@ -0,0 +1,344 @@
+// Offline harness: loads bot.js with Telegram, the LLM API, gTTS, Whisper, OCR and storage
+// replaced by in-process fakes, then feeds it synthetic Telegram updates.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+
+const BOT_INFO = {
+  id: 1000,
+  is_bot: true,
+  first_name: 'Test Bot',
+  username: 'test_voice_bot',
+  can_join_groups: true,
+  can_read_all_group_messages: false,
+  supports_inline_queries: false
+};
+
+const USER = { id: 42, is_bot: false, first_name: 'Tester', username: 'tester' };
+const CHAT = { id: 42, type: 'private', first_name: 'Tester', username: 'tester' };
+
+// Deterministic bag-of-words vectors stand in for the sentence-embedding model
+const fakeEmbedding = (text) => {
+  const vector = new Float32Array(64);
+  for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+    let hash = 0;
+    for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    vector[hash % 64] += 1;
+  }
+  return vector;
+};
+
+const REPO_ROOT = path.join(__dirname, '..');
+const PROCESS_EVENTS = ['uncaughtException', 'unhandledRejection', 'SIGINT', 'SIGTERM'];
+
+// Each harness loads its own copy of bot.js with fresh storage, and cleanup()
+// undoes every global it replaced, so tests can't see each other's state.
+// storedData starts the storage from the contents of another harness's file,
+// and env sets more environment variables for bot.js.
+const createHarness = ({ storedData = null, env = {} } = {}) => {
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vox-note-test-'));
+  const storageFile = path.join(storageDir, 'storage.json');
+  if (storedData) fs.writeFileSync(storageFile, storedData);
+
+  const restores = [];
+  const replace = (target, key, value) => {
+    const existed = Object.prototype.hasOwnProperty.call(target, key);
+    const original = target[key];
+    target[key] = value;
+    restores.push(() => {
+      if (existed) target[key] = original;
+      else delete target[key];
+    });
+  };
+
+  const stubModule = (name, exports) => {
+    const resolved = require.resolve(name);
+    replace(require.cache, resolved, { id: resolved, filename: resolved, loaded: true, exports });
+  };
+
+  replace(process.env, 'BOT_TOKEN', 'test-token');
+  replace(process.env, 'GROQ_API_KEY', 'test-groq-key');
+  replace(process.env, 'STORAGE_BACKEND', 'local');
+  replace(process.env, 'LOCAL_STORAGE_PATH', storageFile);
+  replace(process.env, 'EMBEDDINGS_ENABLED', 'true');
+  replace(process.env, 'WHISPER_MODEL', 'Xenova/whisper-tiny');
+  replace(process.env, 'ADMIN_USER_IDS', String(USER.id));
+  Object.entries(env).forEach(([key, value]) => replace(process.env, key, value));
+
+  const calls = [];
+  const fakes = {
+    transcript: 'hello',
+    language: 'en',
+    gttsFails: false,
+    audioSeconds: 1,
+    aiAnswer: 'AI generated answer',
+    aiDelayMs: 0,
+    // Awaited before every LLM reply, to hold one back
+    beforeAiReply: null,
+    // Awaited before every Telegram API call
+    beforeApiCall: null,
+    streamFailsAfter: null,
+    ocrText: 'TOTAL 12.50',
+    files: {}
+  };
+
+  stubModule('@xenova/transformers', {
+    pipeline: async (task) => {
+      if (task === 'feature-extraction') {
+        return async (text) => ({ data: fakeEmbedding(text) });
+      }
+      // Multilingual Whisper puts the detected language token right after <|startoftranscript|>
+      // A list of transcripts is returned one per call, i.e. one per audio window
+      const transcribe = async (audio, options = {}) => {
+        calls.push({ method: 'whisper', payload: { seconds: audio.length / 16000, language: options.language } });
+        options.chunk_callback?.({ tokens: [1, 2, 3] });
+        const text = Array.isArray(fakes.transcript) ? fakes.transcript.shift() : fakes.transcript;
+        if (!options.return_timestamps) return { text };
+
+        // One segment per sentence, spread evenly over the window
+        const seconds = audio.length / 16000;
+        const sentences = text.split(/(?<=\.)\s+/);
+        return {
+          text,
+          chunks: sentences.map((sentence, i) => ({
+            timestamp: [i * seconds / sentences.length, (i + 1) * seconds / sentences.length],
+            text: ` ${sentence}`
+          }))
+        };
+      };
+      transcribe.tokenizer = {
+        decode: ([id]) => ['<|startoftranscript|>', `<|${fakes.language}|>`, '<|transcribe|>'][id - 1]
+      };
+      return transcribe;
+    }
+  });
+
+  stubModule('tesseract.js', {
+    OEM: { LSTM_ONLY: 1 },
+    createWorker: async () => ({
+      recognize: async (image) => {
+        calls.push({ method: 'ocr', payload: { bytes: image.length } });
+        return { data: { text: fakes.ocrText, confidence: 87 } };
+      },
+      terminate: async () => {}
+    })
+  });
+
+  stubModule('gtts', function FakeGTTS(text, lang) {
+    calls.push({ method: 'gtts', payload: { text, lang } });
+    this.save = (file, callback) => {
+      if (fakes.gttsFails) return callback(new Error('getaddrinfo ENOTFOUND translate.google.com'));
+      fs.writeFile(file, `voice:${lang}:${text}`, callback);
+    };
+  });
+
+  // Audio decoding and offline TTS spawn ffmpeg/espeak-ng; answer with silence instead
+  replace(require('child_process'), 'spawn', (command, args) => {
+    calls.push({ method: 'spawn', payload: { command, args } });
+    const proc = new EventEmitter();
+    proc.stdin = { end: () => {} };
+    proc.stdout = new EventEmitter();
+    proc.stderr = new EventEmitter();
+    setImmediate(() => {
+      proc.stdout.emit('data', Buffer.alloc(16000 * 4 * fakes.audioSeconds));
+      proc.emit('close', 0);
+    });
+    return proc;
+  });
+
+  replace(global, 'fetch', async () => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    arrayBuffer: async () => new ArrayBuffer(8)
+  }));
+
+  const axios = require('axios');
+  replace(axios, 'post', async (url, body, options = {}) => {
+    calls.push({ method: 'llm', url, payload: body });
+    if (fakes.aiDelayMs) await new Promise(resolve => setTimeout(resolve, fakes.aiDelayMs));
+    if (fakes.beforeAiReply) await fakes.beforeAiReply(body);
+
+    if (options.responseType === 'stream') {
+      // Server-sent events, one word per delta, optionally cut off mid-answer
+      const words = fakes.aiAnswer.split(/(?<= )/);
+      const events = words.map(word => `data: ${JSON.stringify({ choices: [{ delta: { content: word } }] })}\n\n`);
+      const stream = new PassThrough();
+      setImmediate(() => {
+        if (fakes.streamFailsAfter !== null) {
+          stream.write(events.slice(0, fakes.streamFailsAfter).join(''));
+          stream.destroy(new Error('socket hang up'));
+          return;
+        }
+        stream.end(events.join('') + 'data: [DONE]\n\n');
+      });
+      return { data: stream };
+    }
+
+    return { data: { choices: [{ message: { content: fakes.aiAnswer } }] } };
+  });
+  replace(axios, 'get', async (url) => {
+    const fileName = Object.keys(fakes.files).find(name => url.endsWith(name));
+    if (!fileName) throw new Error(`Unexpected download: ${url}`);
+    return { data: fakes.files[fileName] };
+  });
+
+  const { Telegram } = require('telegraf');
+  // Text of every message sent to the chat, as last edited
+  const messages = [];
+
+  replace(Telegram.prototype, 'callApi', async function (method, payload) {
+    calls.push({ method, payload });
+    if (fakes.beforeApiCall) await fakes.beforeApiCall(method, payload);
+
+    switch (method) {
+      case 'getMe':
+        return BOT_INFO;
+      case 'getFile':
+        return { file_id: payload.file_id, file_path: `files/${payload.file_id}` };
+      case 'sendMessage':
+        messages.push({ message_id: calls.length, text: payload.text });
+        return { message_id: calls.length, chat: CHAT, date: Math.floor(Date.now() / 1000), text: payload.text };
+      case 'editMessageText': {
+        const message = messages.find(item => item.message_id === payload.message_id);
+        if (!message) throw new Error('message to edit not found');
+        message.text = payload.text;
+        return { message_id: message.message_id, chat: CHAT, date: Math.floor(Date.now() / 1000), text: payload.text };
+      }
+      case 'sendVoice':
+      case 'sendDocument':
+        return { message_id: calls.length, chat: CHAT, date: Math.floor(Date.now() / 1000) };
+      default:
+        return true;
+    }
+  });
+
+  // gracefulShutdown ends with process.exit
+  replace(process, 'exit', (code) => {
+    calls.push({ method: 'exit', payload: { code } });
+  });
+
+  const modulesBefore = new Set(Object.keys(require.cache));
+  const listenersBefore = new Map(PROCESS_EVENTS.map(event => [event, process.listeners(event)]));
+  const app = require('../bot');
+  app.bot.botInfo = BOT_INFO;
+
+  let updateId = 0;
+  let messageId = 0;
+
+  const message = (fields, user = USER) => ({
+    message_id: ++messageId,
+    from: user,
+    chat: { ...CHAT, id: user.id, first_name: user.first_name, username: user.username },
+    date: Math.floor(Date.now() / 1000),
+    ...fields
+  });
+
+  // Updates are handled in the bot's own queue, so wait for that to finish
+  const send = async (update) => {
+    await app.bot.handleUpdate({ update_id: ++updateId, ...update });
+    await app.whenIdle();
+  };
+
+  const sendText = (text, user = USER, extra = {}) => {
+    const entities = text.startsWith('/')
+      ? [{ type: 'bot_command', offset: 0, length: text.split(/\s/)[0].length }]
+      : undefined;
+    return send({ message: message({ text, entities, ...extra }, user) });
+  };
+
+  const sendVoice = (duration = 3) => send({
+    message: message({ voice: { file_id: `voice-${messageId + 1}`, file_unique_id: 'v', duration, mime_type: 'audio/ogg' } })
+  });
+
+  // audio, video_note or video messages
+  const sendMedia = (kind, fields = {}) => send({
+    message: message({ [kind]: { file_id: `${kind}-${messageId + 1}`, file_unique_id: kind, duration: 3, ...fields } })
+  });
+
+  const sendPhoto = (content = 'jpeg') => {
+    const fileId = `photo-${messageId + 1}`;
+    fakes.files[`files/${fileId}`] = Buffer.from(content);
+    return send({
+      message: message({ photo: [{ file_id: `${fileId}-s`, file_unique_id: 's', width: 90, height: 90 }, { file_id: fileId, file_unique_id: fileId, width: 1280, height: 960 }] })
+    });
+  };
+
+  // extra: more message fields, e.g. { caption }
+  const sendDocument = (fileName, mimeType, content, extra = {}) => {
+    const fileId = `doc-${messageId + 1}`;
+    fakes.files[`files/${fileId}`] = Buffer.from(content);
+    return send({
+      message: message({ document: { file_id: fileId, file_unique_id: fileId, file_name: fileName, mime_type: mimeType, file_size: content.length }, ...extra })
+    });
+  };
+
+  // messageId: the message the button is on, for handlers that edit it
+  const pressButton = (data, messageId = null) => send({
+    callback_query: {
+      id: String(updateId + 1),
+      from: USER,
+      chat_instance: '1',
+      data,
+      message: { ...message({ text: 'menu' }), ...(messageId ? { message_id: messageId } : {}) }
+    }
+  });
+
+  const sent = (method) => calls.filter(call => call.method === method);
+  const replies = () => messages.map(message => message.text);
+  const lastReply = () => replies().slice(-1)[0];
+  const lastMessageId = () => messages.slice(-1)[0]?.message_id;
+
+  const reset = () => {
+    calls.length = 0;
+    messages.length = 0;
+  };
+
+  const cleanup = async () => {
+    await app.whenIdle();
+    await app.storage.flush();
+
+    // The repo's own modules are loaded again by the next harness, against its fakes
+    Object.keys(require.cache)
+      .filter(file => !modulesBefore.has(file) && file.startsWith(REPO_ROOT) && !file.includes('node_modules'))
+      .forEach(file => delete require.cache[file]);
+    PROCESS_EVENTS.forEach(event => process.listeners(event)
+      .filter(listener => !listenersBefore.get(event).includes(listener))
+      .forEach(listener => process.off(event, listener)));
+    restores.reverse().forEach(restore => restore());
+
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  };
+
+  // Stops this bot and starts a fresh one on the same stored data, as a redeploy would
+  const restart = async () => {
+    await app.whenIdle();
+    await app.storage.flush();
+    const storedData = fs.readFileSync(storageFile);
+    await cleanup();
+    return createHarness({ storedData });
+  };
+
+  return {
+    ...app,
+    fakes,
+    calls,
+    sent,
+    replies,
+    lastReply,
+    lastMessageId,
+    reset,
+    cleanup,
+    restart,
+    sendText,
+    sendVoice,
+    sendMedia,
+    sendPhoto,
+    sendDocument,
+    pressButton
+  };
+};
+
+module.exports = { createHarness };
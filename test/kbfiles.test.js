@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { IMPORT_LIMITS, KNOWLEDGE_EXPORT_FORMATS, resolveImportFormat, parseKnowledgeFile } = require('../kbfiles');
+
+const entries = [
+  { id: 1, question: 'Opening hours?', answer: '9am to 5pm, "Mon-Fri"', tags: ['store', 'hours'], created_at: '2026-01-02T10:00:00Z', updated_at: '2026-01-03T10:00:00Z' },
+  { id: 2, question: 'Address', content: 'Main St 1,\nSpringfield' }
+];
+
+test('CSV exports quote fields and import again as they are', () => {
+  const csv = KNOWLEDGE_EXPORT_FORMATS.csv(entries);
+
+  assert.strictEqual(csv.split('\r\n')[0], 'id,question,answer,tags,created_at,updated_at');
+  assert.match(csv, /^1,Opening hours\?,"9am to 5pm, ""Mon-Fri""",#store #hours,2026-01-02T10:00:00Z,2026-01-03T10:00:00Z\r$/m);
+
+  const { rows, errors } = parseKnowledgeFile(Buffer.from(csv), 'csv');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(rows, [
+    { row: 1, question: 'Opening hours?', answer: '9am to 5pm, "Mon-Fri"', tags: ['store', 'hours'] },
+    { row: 2, question: 'Address', answer: 'Main St 1,\nSpringfield', tags: [] }
+  ]);
+});
+
+test('JSON and Markdown exports list every entry', () => {
+  assert.deepStrictEqual(JSON.parse(KNOWLEDGE_EXPORT_FORMATS.json(entries))[1],
+    { id: 2, question: 'Address', answer: 'Main St 1,\nSpringfield', tags: [], created_at: null, updated_at: null });
+  assert.match(KNOWLEDGE_EXPORT_FORMATS.md(entries), /^# Knowledge base\n\n## Opening hours\?\n\n9am to 5pm, "Mon-Fri"\n\nTags: #store #hours\n\n_#1, updated 2026-01-03_\n/);
+});
+
+test('CSV without a header uses the first two columns', () => {
+  const { rows } = parseKnowledgeFile(Buffer.from('\uFEFFPrice?;$5\n\nRefunds?;30 days\n'), 'csv');
+  assert.deepStrictEqual(rows.map(row => [row.row, row.question, row.answer]), [[1, 'Price?', '$5'], [2, 'Refunds?', '30 days']]);
+});
+
+test('invalid and repeated rows are reported with their row numbers', () => {
+  const json = JSON.stringify({ entries: [
+    { question: 'Hours?', answer: '9 to 5', category: 'Store', tags: ['opening_times'] },
+    { question: 'Q', answer: 'too short question' },
+    { question: 'Parking?' },
+    'free text',
+    { question: 'hours?', answer: '10 to 6' }
+  ] });
+
+  const { rows, errors } = parseKnowledgeFile(Buffer.from(json), 'json');
+
+  assert.deepStrictEqual(rows, [{ row: 1, question: 'Hours?', answer: '9 to 5', tags: ['store', 'opening-times'] }]);
+  assert.deepStrictEqual(errors, [
+    { row: 2, reason: 'question is missing or too short' },
+    { row: 3, reason: 'answer is missing or too short' },
+    { row: 4, reason: 'not a { question, answer } object' },
+    { row: 5, reason: 'repeats the question of row 1' }
+  ]);
+});
+
+test('unreadable or oversized files are rejected', () => {
+  assert.throws(() => parseKnowledgeFile(Buffer.from('{oops'), 'json'), /Not valid JSON/);
+  assert.throws(() => parseKnowledgeFile(Buffer.from('{"question": "a"}'), 'json'), /must be a list/);
+  assert.throws(() => parseKnowledgeFile(Buffer.from('q,a\n'.repeat(IMPORT_LIMITS.maxRows + 1)), 'csv'), /Too many rows/);
+
+  assert.strictEqual(resolveImportFormat('application/octet-stream', 'kb.JSON'), 'json');
+  assert.strictEqual(resolveImportFormat('text/csv', 'export'), 'csv');
+  assert.strictEqual(resolveImportFormat('text/plain', 'notes.txt'), null);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const axios = require('axios');
+const { resolveProviders, createLLMClient } = require('../llm');
+
+test('Groq and a local OpenAI-compatible server are read from the environment', () => {
+  const providers = resolveProviders({
+    GROQ_API_KEY: 'key',
+    LLM_BASE_URL: 'http://localhost:11434/v1/',
+    LLM_NAME: 'ollama',
+    LLM_MODELS: 'llama3.2, qwen2.5'
+  });
+
+  assert.deepStrictEqual(providers.map(provider => provider.name), ['groq', 'ollama']);
+  assert.strictEqual(providers[1].baseUrl, 'http://localhost:11434/v1');
+  assert.deepStrictEqual(providers[1].models, ['llama3.2', 'qwen2.5']);
+  assert.strictEqual(providers[1].defaultModel, 'llama3.2');
+  assert.strictEqual(providers[1].apiKey, null);
+});
+
+test('LLM_FALLBACK_ORDER reorders providers', () => {
+  const providers = resolveProviders({
+    GROQ_API_KEY: 'key',
+    LLM_BASE_URL: 'http://localhost:8080/v1',
+    LLM_MODELS: 'local-model',
+    LLM_FALLBACK_ORDER: 'local,groq'
+  });
+
+  assert.deepStrictEqual(providers.map(provider => provider.name), ['local', 'groq']);
+});
+
+test('providers without models are skipped', () => {
+  const providers = resolveProviders({ LLM_BASE_URL: 'http://localhost:8080/v1' });
+  assert.strictEqual(providers.length, 0);
+  assert.strictEqual(createLLMClient(providers).enabled, false);
+});
+
+test('chat falls back to the next provider when one fails', async (t) => {
+  const requests = [];
+  t.mock.method(axios, 'post', async (url, body, options) => {
+    requests.push({ url, model: body.model, headers: options.headers });
+    if (url.startsWith('http://primary')) throw new Error('connect ECONNREFUSED');
+    return { data: { choices: [{ message: { content: ' fallback answer ' } }] } };
+  });
+
+  const llm = createLLMClient(resolveProviders({
+    LLM_PROVIDERS: JSON.stringify([
+      { name: 'primary', baseUrl: 'http://primary/v1', models: ['a', 'b'] },
+      { name: 'backup', baseUrl: 'http://backup/v1', apiKey: 'secret', models: ['c'] }
+    ])
+  }));
+
+  const result = await llm.chat([{ role: 'user', content: 'hi' }], { model: 'b' });
+
+  assert.deepStrictEqual(result, { content: 'fallback answer', provider: 'backup', model: 'c' });
+  assert.deepStrictEqual(requests.map(request => `${request.url} ${request.model}`), [
+    'http://primary/v1/chat/completions b',
+    'http://backup/v1/chat/completions c'
+  ]);
+  assert.strictEqual(requests[0].headers.Authorization, undefined);
+  assert.strictEqual(requests[1].headers.Authorization, 'Bearer secret');
+});
+
+test('chat rethrows when every provider fails', async (t) => {
+  t.mock.method(axios, 'post', async () => {
+    throw new Error('offline');
+  });
+
+  const llm = createLLMClient(resolveProviders({ GROQ_API_KEY: 'key' }));
+  await assert.rejects(llm.chat([{ role: 'user', content: 'hi' }]), /offline/);
+});
+
+test('chatStream reassembles split events and falls back before any output', async (t) => {
+  t.mock.method(axios, 'post', async (url) => {
+    if (url.startsWith('http://primary')) throw new Error('connect ECONNREFUSED');
+    const stream = new PassThrough();
+    const body = 'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"delta":{"content":"lo"}}]}\n\ndata: [DONE]\n\n';
+    setImmediate(() => {
+      stream.write(body.slice(0, 30));
+      stream.end(body.slice(30));
+    });
+    return { data: stream };
+  });
+
+  const llm = createLLMClient(resolveProviders({
+    LLM_PROVIDERS: JSON.stringify([
+      { name: 'primary', baseUrl: 'http://primary/v1', models: ['a'] },
+      { name: 'backup', baseUrl: 'http://backup/v1', models: ['b'] }
+    ])
+  }));
+
+  const tokens = [];
+  const result = await llm.chatStream([{ role: 'user', content: 'hi' }], { onToken: token => tokens.push(token) });
+
+  assert.deepStrictEqual(tokens, ['Hel', 'lo']);
+  assert.deepStrictEqual(result, { content: 'Hello', provider: 'backup', model: 'b', partial: false });
+});
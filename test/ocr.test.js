@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Tesseract = require('tesseract.js');
+const pdfParse = require('pdf-parse');
+const { resolveOCRConfig, createOCR } = require('../ocr');
+
+const fakeWorker = (texts) => ({
+  recognize: async () => ({ data: { text: texts.shift(), confidence: 80.4 } }),
+  terminate: async () => {}
+});
+
+test('English OCR uses the bundled language data', () => {
+  const config = resolveOCRConfig({});
+  assert.strictEqual(config.enabled, true);
+  assert.strictEqual(config.languages, 'eng');
+  assert.match(config.langPath, /@tesseract\.js-data[\\/]eng[\\/]4\.0\.0_best_int$/);
+
+  const multilingual = resolveOCRConfig({ OCR_LANGUAGES: 'eng, fra' });
+  assert.strictEqual(multilingual.languages, 'eng+fra');
+  assert.strictEqual(multilingual.langPath, undefined);
+});
+
+test('scanned PDFs are rendered and read page by page', async (t) => {
+  const options = {};
+  t.mock.method(Tesseract, 'createWorker', async (languages, oem, workerOptions) => {
+    Object.assign(options, { languages, ...workerOptions });
+    return fakeWorker([' Page one text ', '', 'Page three text']);
+  });
+  t.mock.method(pdfParse, 'PDFParse', function FakePDFParse() {
+    this.getScreenshot = async ({ first }) => ({
+      total: 5,
+      pages: [1, 2, 3].slice(0, first).map(pageNumber => ({ pageNumber, data: new Uint8Array(4) }))
+    });
+    this.destroy = async () => {};
+  });
+
+  const ocr = createOCR(resolveOCRConfig({ OCR_MAX_PAGES: '3' }));
+  const progress = [];
+  const result = await ocr.recognizePdf(Buffer.from('%PDF-'), { onProgress: (done, total) => progress.push(`${done}/${total}`) });
+  await ocr.terminate();
+
+  assert.strictEqual(result.text, 'Page 1:\nPage one text\n\nPage 3:\nPage three text');
+  assert.strictEqual(result.totalPages, 5);
+  assert.strictEqual(result.pages.length, 3);
+  assert.strictEqual(result.confidence, 80);
+  assert.deepStrictEqual(progress, ['1/3', '2/3', '3/3']);
+  assert.strictEqual(options.cacheMethod, 'none');
+});
+
+test('OCR can be turned off', async () => {
+  const ocr = createOCR(resolveOCRConfig({ OCR_ENABLED: 'false' }));
+  assert.strictEqual(ocr.enabled, false);
+  await assert.rejects(ocr.recognize(Buffer.from('png')), /OCR is disabled/);
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { wordDiff, describeChange } = require('../revisions');
+
+test('word diffs mark removed and added words', () => {
+  assert.strictEqual(wordDiff('Open 9 to 5pm', 'Open 9 to 6pm'), 'Open 9 to [-5pm-]{+6pm+}');
+  assert.strictEqual(wordDiff('Free shipping', 'Free shipping over $50'), 'Free shipping{+ over $50+}');
+  assert.strictEqual(wordDiff('Call us or email us', 'Email us'), '[-Call-]{+Email+} us[- or email us-]');
+  assert.strictEqual(wordDiff('same', 'same'), 'same');
+});
+
+test('very long texts are shown as replaced', () => {
+  const before = 'word '.repeat(600);
+  assert.strictEqual(wordDiff(before, 'short'), `[-${before}-]{+short+}`);
+});
+
+test('changes list only the parts that differ', () => {
+  const before = { question: 'Hours?', answer: '9 to 5' };
+  assert.strictEqual(describeChange(before, { question: 'Hours?', answer: '9 to 6' }), 'A: 9 to [-5-]{+6+}');
+  assert.strictEqual(describeChange(before, { question: 'Opening hours?', answer: '9 to 5' }), 'Q: [-Hours?-]{+Opening hours?+}');
+  assert.strictEqual(describeChange(before, { ...before }), null);
+});
@@ -0,0 +1,83 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage, createSupabaseStorage, createSessionStore } = require('../storage');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vox-note-storage-'));
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('session store round-trips data and drops expired sessions', async () => {
+  const backend = createLocalStorage(path.join(dir, 'sessions.json'));
+  const store = createSessionStore(backend, 60 * 1000);
+
+  await store.set('1:1', { textAIMode: true });
+  assert.deepStrictEqual(await store.get('1:1'), { textAIMode: true });
+
+  await backend.setSession('2:2', { stale: true }, new Date(Date.now() - 1000).toISOString());
+  assert.strictEqual(await store.get('2:2'), undefined);
+  assert.strictEqual(await backend.getSession('2:2'), null);
+
+  await store.delete('1:1');
+  assert.strictEqual(await store.get('1:1'), undefined);
+});
+
+test('expired sessions are cleaned up in bulk', async () => {
+  const backend = createLocalStorage(path.join(dir, 'cleanup.json'));
+
+  await backend.setSession('old', {}, new Date(Date.now() - 1000).toISOString());
+  await backend.setSession('new', {}, new Date(Date.now() + 60000).toISOString());
+  await backend.deleteExpiredSessions();
+
+  assert.strictEqual(await backend.getSession('old'), null);
+  assert.ok(await backend.getSession('new'));
+});
+
+test('entries are updated and deleted by ids given as text', async () => {
+  const backend = createLocalStorage(path.join(dir, 'ids.json'));
+  const entry = await backend.insertKnowledge({ question: 'Parking?', answer: 'Free' });
+
+  await backend.updateKnowledge(String(entry.id), { answer: 'Paid' });
+  assert.strictEqual((await backend.getKnowledge(entry.id)).answer, 'Paid');
+
+  await backend.deleteKnowledge(String(entry.id));
+  assert.strictEqual(await backend.getKnowledge(entry.id), null);
+});
+
+test('Supabase revisions take the next number when a concurrent change took theirs', async () => {
+  const revisions = [{ entry_id: 7, revision: 1 }];
+  let concurrentChange = true;
+  const client = {
+    from: () => {
+      const query = {
+        select: () => query,
+        eq: () => query,
+        order: () => query,
+        limit: async () => ({ data: [...revisions].sort((a, b) => b.revision - a.revision).slice(0, 1), error: null }),
+        insert: ([row]) => ({
+          select: async () => {
+            // Another change stores the same number between the read and this insert
+            if (concurrentChange) {
+              concurrentChange = false;
+              revisions.push({ entry_id: row.entry_id, revision: row.revision });
+            }
+            if (revisions.some(stored => stored.entry_id === row.entry_id && stored.revision === row.revision)) {
+              return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+            }
+            revisions.push(row);
+            return { data: [row], error: null };
+          }
+        })
+      };
+      return query;
+    }
+  };
+
+  const saved = await createSupabaseStorage(client).addRevision({ entry_id: 7, action: 'update', question: 'Q?', answer: 'A' });
+  assert.strictEqual(saved.revision, 3);
+  assert.deepStrictEqual(revisions.map(row => row.revision), [1, 2, 3]);
+});
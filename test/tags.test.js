@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TAG_LIMITS, normalizeTag, takeTrailingHashtags, takeHashtags, tagFields, parseTagSuggestion } = require('../tags');
+
+test('trailing hashtags are taken off as normalized tags', () => {
+  assert.deepStrictEqual(takeTrailingHashtags('Refunds? || 30 days #Billing #late_fees #billing'),
+    { text: 'Refunds? || 30 days', tags: ['billing', 'late-fees'] });
+  assert.deepStrictEqual(takeTrailingHashtags('What is #1 on the #agenda today?'),
+    { text: 'What is #1 on the #agenda today?', tags: [] });
+  assert.deepStrictEqual(tagFields(['Оплата', 'refunds']), { category: 'оплата', tags: ['оплата', 'refunds'] });
+  assert.deepStrictEqual(tagFields([]), { category: null, tags: [] });
+});
+
+test('hashtags anywhere in a search are filters, but not numbers', () => {
+  assert.deepStrictEqual(takeHashtags('#billing refund #2 policy'), { text: 'refund #2 policy', tags: ['billing'] });
+  assert.ok(Buffer.byteLength(normalizeTag('ж'.repeat(40))) <= TAG_LIMITS.maxBytes);
+});
+
+test('suggestions are read from JSON anywhere in the reply', () => {
+  assert.deepStrictEqual(parseTagSuggestion('```json\n{"category": "Account Access", "tags": ["password", "login"]}\n```'),
+    ['account-access', 'password', 'login']);
+  assert.strictEqual(parseTagSuggestion('I think this is about billing.'), null);
+  assert.strictEqual(parseTagSuggestion('{"category": ""}'), null);
+});
@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EXPORT_FORMATS, formatTimestamp, formatClock } = require('../transcripts');
+
+test('timestamps use the SRT and VTT separators', () => {
+  assert.strictEqual(formatTimestamp(3723.5), '01:02:03,500');
+  assert.strictEqual(formatTimestamp(3723.5, '.'), '01:02:03.500');
+  assert.strictEqual(formatClock(75), '01:15');
+  assert.strictEqual(formatClock(3723), '1:02:03');
+});
+
+test('transcripts without segments export as a single cue', () => {
+  const transcript = { text: 'Just one line', duration: 4 };
+
+  assert.strictEqual(EXPORT_FORMATS.txt(transcript), 'Just one line\n');
+  assert.strictEqual(EXPORT_FORMATS.srt(transcript), '1\n00:00:00,000 --> 00:00:04,000\nJust one line\n');
+  assert.strictEqual(EXPORT_FORMATS.vtt(transcript), 'WEBVTT\n\n00:00:00.000 --> 00:00:04.000\nJust one line\n');
+});
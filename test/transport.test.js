@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveTransportConfig } = require('../transport');
+
+test('polling is the default outside production', () => {
+  const config = resolveTransportConfig({ RENDER_EXTERNAL_URL: 'https://bot.example.com' });
+  assert.strictEqual(config.mode, 'polling');
+});
+
+test('production with a public URL uses the webhook', () => {
+  const config = resolveTransportConfig({
+    NODE_ENV: 'production',
+    RENDER_EXTERNAL_URL: 'https://bot.example.com/',
+    PORT: '8080'
+  });
+
+  assert.strictEqual(config.mode, 'webhook');
+  assert.strictEqual(config.publicUrl, 'https://bot.example.com');
+  assert.strictEqual(config.port, 8080);
+});
+
+test('BOT_TRANSPORT overrides the environment default', () => {
+  const config = resolveTransportConfig({ NODE_ENV: 'production', WEBHOOK_URL: 'https://x.example.com', BOT_TRANSPORT: 'polling' });
+  assert.strictEqual(config.mode, 'polling');
+});
+
+test('unknown transports are rejected', () => {
+  assert.throws(() => resolveTransportConfig({ BOT_TRANSPORT: 'carrier-pigeon' }), /Unknown BOT_TRANSPORT/);
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveTTSConfig, createTTS, splitText } = require('../tts');
+
+test('gTTS with the espeak-ng fallback is the default', () => {
+  const config = resolveTTSConfig({});
+  assert.deepStrictEqual(config.providers, ['gtts', 'espeak']);
+  assert.strictEqual(config.espeakCommand, 'espeak-ng');
+});
+
+test('Piper voices are read as language=model pairs', () => {
+  const config = resolveTTSConfig({
+    TTS_PROVIDERS: 'piper',
+    PIPER_VOICES: 'en=/voices/en.onnx, sw=/voices/sw.onnx'
+  });
+
+  assert.deepStrictEqual(config.piperVoices, { en: '/voices/en.onnx', sw: '/voices/sw.onnx' });
+  assert.deepStrictEqual(createTTS(config).providers.map(provider => provider.name), ['piper']);
+});
+
+test('unknown or unconfigured providers are skipped', async () => {
+  const tts = createTTS(resolveTTSConfig({ TTS_PROVIDERS: 'festival,piper' }));
+
+  assert.strictEqual(tts.providers.length, 0);
+  await assert.rejects(tts.synthesize('hello'), /No TTS provider configured/);
+});
+
+test('splitText keeps sentences together and breaks overlong ones between words', () => {
+  assert.deepStrictEqual(splitText('One. Two! Three?', 10), ['One. Two!', 'Three?']);
+  assert.deepStrictEqual(splitText('alpha beta gamma delta', 11), ['alpha beta', 'gamma delta']);
+  assert.deepStrictEqual(splitText('   '), []);
+});
@@ -0,0 +1,55 @@
+// ==================== TRANSCRIPT EXPORT ====================
+//
+// Turns a Whisper transcript into downloadable files. Segments are
+// { start, end, text } with times in seconds from the start of the recording.
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// 3723.5 -> "01:02:03,500" (SRT) or "01:02:03.500" (VTT)
+const formatTimestamp = (seconds, separator = ',') => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+// Short form for chat messages: "02:03", or "1:02:03" past the hour
+const formatClock = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${pad(minutes)}:${pad(secs)}`;
+};
+
+const toText = ({ text, segments = [] }) => {
+  if (segments.length === 0) return `${text}\n`;
+  return segments.map(segment => `[${formatClock(segment.start)}] ${segment.text}`).join('\n') + '\n';
+};
+
+// Without segments the whole transcript becomes a single cue spanning the recording
+const cuesOf = ({ text, segments = [], duration = 0 }) => (
+  segments.length > 0 ? segments : [{ start: 0, end: duration, text }]
+);
+
+const toSRT = (transcript) => cuesOf(transcript)
+  .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}\n`)
+  .join('\n');
+
+const toVTT = (transcript) => 'WEBVTT\n\n' + cuesOf(transcript)
+  .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+  .join('\n');
+
+const EXPORT_FORMATS = {
+  txt: toText,
+  srt: toSRT,
+  vtt: toVTT
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatTimestamp,
+  formatClock
+};
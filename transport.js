@@ -0,0 +1,107 @@
+const express = require('express');
+
+// ==================== TRANSPORT SELECTION ====================
+//
+// The bot core never talks to the network layer directly. startTransport()
+// runs it either with long polling (local development) or behind an Express
+// webhook with a /health endpoint (Render and other hosted deployments), and
+// returns a handle whose stop() is used by the graceful shutdown.
+
+const resolveTransportConfig = (env = process.env) => {
+  const publicUrl = (env.WEBHOOK_URL || env.RENDER_EXTERNAL_URL || '').replace(/\/+$/, '');
+  const mode = env.BOT_TRANSPORT || (env.NODE_ENV === 'production' && publicUrl ? 'webhook' : 'polling');
+
+  if (mode !== 'polling' && mode !== 'webhook') {
+    throw new Error(`Unknown BOT_TRANSPORT "${mode}". Use "polling" or "webhook".`);
+  }
+
+  return {
+    mode,
+    publicUrl,
+    port: parseInt(env.PORT, 10) || 3000,
+    secretToken: env.WEBHOOK_SECRET || undefined
+  };
+};
+
+const startPolling = async (bot) => {
+  await new Promise((resolve, reject) => {
+    // launch() only settles once polling stops, so resolve from the onLaunch hook
+    bot.launch(resolve).catch(reject);
+  });
+
+  console.log('Bot running with long polling');
+
+  return {
+    mode: 'polling',
+    stop: async (reason) => {
+      bot.stop(reason);
+    }
+  };
+};
+
+const setWebhookWithRetry = async (bot, url, options, retries = 3) => {
+  for (let i = 0; i < retries; i++) {
+    try {
+      await bot.telegram.setWebhook(url, options);
+      console.log('Webhook set successfully');
+      return;
+    } catch (err) {
+      console.error(`Webhook attempt ${i + 1} failed:`, err.message);
+      if (i < retries - 1) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      } else {
+        throw err;
+      }
+    }
+  }
+};
+
+const startWebhook = async (bot, { publicUrl, port, secretToken, getHealth }) => {
+  if (!publicUrl) {
+    throw new Error('Webhook transport needs WEBHOOK_URL or RENDER_EXTERNAL_URL');
+  }
+
+  const webhookPath = `/telegraf/${bot.secretPathComponent()}`;
+  const app = express();
+
+  app.get('/health', (req, res) => {
+    res.json(getHealth ? getHealth() : { status: 'ok' });
+  });
+
+  app.use(bot.webhookCallback(webhookPath, { secretToken }));
+
+  const server = await new Promise((resolve, reject) => {
+    const listener = app.listen(port, () => resolve(listener));
+    listener.on('error', reject);
+  });
+
+  try {
+    await setWebhookWithRetry(bot, `${publicUrl}${webhookPath}`, { secret_token: secretToken });
+  } catch (err) {
+    server.close();
+    throw err;
+  }
+
+  console.log(`Server running on port ${port}`);
+  console.log(`Health check: ${publicUrl}/health`);
+
+  return {
+    mode: 'webhook',
+    app,
+    // The webhook is left registered so Telegram queues updates while we restart
+    stop: () => new Promise(resolve => server.close(() => resolve()))
+  };
+};
+
+const startTransport = async (bot, options = {}) => {
+  const config = { ...resolveTransportConfig(), ...options };
+
+  return config.mode === 'webhook'
+    ? startWebhook(bot, config)
+    : startPolling(bot);
+};
+
+module.exports = {
+  resolveTransportConfig,
+  startTransport
+};
@@ -0,0 +1,260 @@
+const gTTS = require('gtts');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ==================== TTS PROVIDERS ====================
+//
+// Every provider turns a piece of text into audio in whatever format the engine
+// produces: synthesize(text, language) -> Promise<{ audio, inputArgs }>, where
+// inputArgs tells ffmpeg how to read it (needed for raw PCM only).
+//
+//   gtts     Google Translate's speech endpoint (MP3, needs internet access)
+//   espeak   espeak-ng, fully offline (WAV)
+//   piper    Piper neural voices, offline (raw PCM)
+//
+// TTS_PROVIDERS lists them in the order they are tried; when one errors
+// (for example gTTS on a network without Google access) the next one is used.
+// Long text is synthesised sentence by sentence and the pieces are joined and
+// encoded to OGG/Opus, the only format Telegram shows as a voice note.
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Runs a command with `input` on stdin and resolves with everything it wrote to stdout
+const runProcess = (command, args, input) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+  const chunks = [];
+  let stderr = '';
+
+  child.stdout.on('data', chunk => chunks.push(chunk));
+  child.stderr.on('data', data => stderr += data.toString());
+
+  child.on('error', reject);
+  child.on('close', (code) => {
+    if (code !== 0) {
+      reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+      return;
+    }
+    resolve(Buffer.concat(chunks));
+  });
+
+  child.stdin.end(input);
+});
+
+// Every piece is decoded to the same PCM format so pieces from different engines can be joined
+const PCM_ARGS = ['-f', 's16le', '-ar', '48000', '-ac', '1'];
+
+const decodeToPcm = ({ audio, inputArgs = [] }) => runProcess('ffmpeg', [
+  ...inputArgs,
+  '-i', 'pipe:0',
+  ...PCM_ARGS,
+  '-hide_banner',
+  '-loglevel', 'error',
+  'pipe:1'
+], audio);
+
+const encodeOggOpus = (pcm) => runProcess('ffmpeg', [
+  ...PCM_ARGS,
+  '-i', 'pipe:0',
+  '-c:a', 'libopus',
+  '-b:a', '32k',
+  '-f', 'ogg',
+  '-hide_banner',
+  '-loglevel', 'error',
+  'pipe:1'
+], pcm);
+
+// Splits text into pieces of at most maxChars, breaking between sentences where
+// possible, then between clauses, then between words.
+const splitText = (text, maxChars = 400) => {
+  const pieces = [];
+  let current = '';
+
+  const push = (piece) => {
+    if (!current) {
+      current = piece;
+    } else if (current.length + 1 + piece.length <= maxChars) {
+      current += ' ' + piece;
+    } else {
+      pieces.push(current);
+      current = piece;
+    }
+  };
+
+  const breakDown = (piece, separators) => {
+    if (piece.length <= maxChars) return push(piece);
+
+    if (separators.length === 0) {
+      // A single word longer than maxChars
+      for (let i = 0; i < piece.length; i += maxChars) push(piece.slice(i, i + maxChars));
+      return;
+    }
+
+    const [separator, ...rest] = separators;
+    piece.split(separator).filter(Boolean).forEach(part => breakDown(part, rest));
+  };
+
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  breakDown(normalized, [/(?<=[.!?;。！？])\s+/, /(?<=[,:])\s+/, /\s+/]);
+  if (current) pieces.push(current);
+
+  return pieces;
+};
+
+const createGTTSProvider = () => {
+  // gTTS has no plain 'en' accent preference, so English keeps the original US voice
+  const toLanguage = (language) => (!language || language === 'en') ? 'en-us' : language;
+
+  const synthesize = (text, language) => new Promise((resolve, reject) => {
+    let tts;
+    try {
+      tts = new gTTS(text, toLanguage(language));
+    } catch (err) {
+      console.warn(`No gTTS voice for language "${language}", using English`);
+      tts = new gTTS(text, 'en-us'); // US English female
+    }
+    const tmpFile = path.join(os.tmpdir(), `tts-${Date.now()}-${Math.random().toString(36).slice(2)}.mp3`);
+
+    tts.save(tmpFile, (err) => {
+      if (err) {
+        fs.unlink(tmpFile, () => {});
+        return reject(err);
+      }
+
+      fs.readFile(tmpFile, (readErr, data) => {
+        fs.unlink(tmpFile, () => {});
+        if (readErr) return reject(readErr);
+        resolve({ audio: data });
+      });
+    });
+  });
+
+  return { name: 'gtts', synthesize };
+};
+
+const createEspeakProvider = ({ command = 'espeak-ng', defaultVoice = 'en-us' } = {}) => {
+  // espeak-ng voices are named after language codes (en-us, fr, sw...)
+  const toVoice = (language) => (!language || language === 'en') ? defaultVoice : language;
+
+  const synthesize = async (text, language) => ({
+    audio: await runProcess(command, ['--stdout', '--stdin', '-v', toVoice(language)], text)
+  });
+
+  return { name: 'espeak', synthesize };
+};
+
+const createPiperProvider = ({ command = 'piper', voices = {} } = {}) => {
+  const languages = Object.keys(voices);
+  if (languages.length === 0) {
+    throw new Error('Piper needs at least one voice in PIPER_VOICES');
+  }
+
+  // Each Piper voice ships with a <model>.onnx.json that holds its sample rate
+  const sampleRates = {};
+  const getSampleRate = (model) => {
+    if (!sampleRates[model]) {
+      try {
+        const config = JSON.parse(fs.readFileSync(`${model}.json`, 'utf-8'));
+        sampleRates[model] = config.audio?.sample_rate || 22050;
+      } catch (err) {
+        sampleRates[model] = 22050;
+      }
+    }
+    return sampleRates[model];
+  };
+
+  const synthesize = async (text, language) => {
+    // Unknown languages use the first configured voice
+    const model = voices[language] || voices[languages[0]];
+    return {
+      audio: await runProcess(command, ['--model', model, '--output-raw'], text),
+      inputArgs: ['-f', 's16le', '-ar', String(getSampleRate(model)), '-ac', '1']
+    };
+  };
+
+  return { name: 'piper', synthesize };
+};
+
+// PIPER_VOICES is a comma-separated list of language=model pairs, e.g.
+// "en=/voices/en_US-lessac-medium.onnx,sw=/voices/sw_CD-lanfrica-medium.onnx"
+const parseVoices = (value) => parseList(value).reduce((voices, pair) => {
+  const [language, model] = pair.split('=').map(part => part.trim());
+  if (language && model) voices[language] = model;
+  return voices;
+}, {});
+
+const resolveTTSConfig = (env = process.env) => ({
+  providers: parseList(env.TTS_PROVIDERS || 'gtts,espeak'),
+  chunkChars: parseInt(env.TTS_CHUNK_CHARS, 10) || 400,
+  espeakCommand: env.ESPEAK_COMMAND || 'espeak-ng',
+  espeakVoice: env.ESPEAK_VOICE || 'en-us',
+  piperCommand: env.PIPER_COMMAND || 'piper',
+  piperVoices: parseVoices(env.PIPER_VOICES)
+});
+
+const PROVIDER_FACTORIES = {
+  gtts: () => createGTTSProvider(),
+  espeak: (config) => createEspeakProvider({ command: config.espeakCommand, defaultVoice: config.espeakVoice }),
+  piper: (config) => createPiperProvider({ command: config.piperCommand, voices: config.piperVoices })
+};
+
+// ==================== TTS ENGINE ====================
+
+const createTTS = (config = resolveTTSConfig()) => {
+  const providers = config.providers
+    .map(name => {
+      const factory = PROVIDER_FACTORIES[name];
+      if (!factory) {
+        console.warn(`Skipping unknown TTS provider "${name}". Use gtts, espeak or piper.`);
+        return null;
+      }
+      try {
+        return factory(config);
+      } catch (err) {
+        console.warn(`Skipping TTS provider "${name}": ${err.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const synthesizePiece = async (text, language) => {
+    let lastError = new Error('No TTS provider configured');
+
+    for (const provider of providers) {
+      try {
+        return await provider.synthesize(text, language);
+      } catch (err) {
+        lastError = err;
+        console.error(`TTS provider ${provider.name} failed:`, err.message);
+      }
+    }
+
+    throw lastError;
+  };
+
+  // Pieces are synthesised one after another; each one falls back independently
+  const synthesize = async (text, language = null) => {
+    const pieces = splitText(text, config.chunkChars);
+    if (pieces.length === 0) throw new Error('No text to speak');
+
+    const pcm = [];
+    for (const piece of pieces) {
+      pcm.push(await decodeToPcm(await synthesizePiece(piece, language)));
+    }
+
+    return encodeOggOpus(Buffer.concat(pcm));
+  };
+
+  return {
+    providers,
+    splitText: (text) => splitText(text, config.chunkChars),
+    synthesize
+  };
+};
+
+module.exports = {
+  resolveTTSConfig,
+  createTTS,
+  splitText
+};